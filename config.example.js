@@ -29,7 +29,10 @@ export default {
   // Capture full page or just viewport (false = viewport only, better quality)
   fullPage: false,
 
-  // Screenshot quality (0-100, higher is better)
+  // Output format: 'png', 'jpeg', 'webp' or 'pdf' (print of the prepared page)
+  format: 'png',
+
+  // JPEG/WebP quality (0-100, higher is better; ignored for PNG and PDF)
   quality: 100,
 
   // Number of times to scroll down before taking screenshot
@@ -37,5 +40,70 @@ export default {
   scrollCount: 1,
 
   // Delay in milliseconds between each scroll
-  scrollDelay: 500
+  scrollDelay: 500,
+
+  // Page preparation before capture: a preset name ('kimpga', 'none')
+  // or a list of steps, for example:
+  // [
+  //   { action: 'click', selector: 'button:has-text("Accept")', optional: true },
+  //   { action: 'waitForSelector', selector: '#prices', timeout: 10000 }
+  // ]
+  steps: 'kimpga',
+
+  // Credential profile to capture with (cookies, headers, HTTP auth and a
+  // stored session), created through the server's /api/profiles endpoints.
+  // Profiles are read from PROFILES_PATH (default ~/.screenshot-scheduler/profiles)
+  // profile: 'my-account',
+
+  // Browser emulation: a Playwright device preset (replaces viewport and
+  // deviceScaleFactor) and context overrides
+  // device: 'iPhone 15',
+  // locale: 'en-US',
+  // timezoneId: 'Asia/Seoul',
+  // userAgent: 'Mozilla/5.0 ...',
+  // geolocation: { latitude: 37.5665, longitude: 126.978 },
+  // colorScheme: 'dark',
+
+  // Timestamp overlay: true for the defaults (set OVERLAY_TIMEZONE to change
+  // the default timezone), false to turn it off, or settings such as:
+  // overlay: {
+  //   position: 'top-right', // top-left, top-right, bottom-left, bottom-right, middle-right or { x, y }
+  //   format: ['YYYY-MM-DD', 'HH:mm:ss.SSS Z'],
+  //   timezone: 'Asia/Seoul',
+  //   text: ['{url}', 'Job: {job}'],
+  //   style: { color: '#ffffff', background: 'rgba(0, 0, 0, 0.6)', fontSize: 12 }
+  // },
+
+  // Page cleanup after the preparation steps
+  // cleanup: {
+  //   css: '.sticky-header { position: static !important; }',
+  //   hide: ['#chat-widget'],
+  //   remove: ['.cookie-banner'],
+  //   disableAnimations: true
+  // },
+
+  // Capture set: the same page at several viewports at the same moment
+  // viewports: [
+  //   { name: 'desktop', viewport: { width: 1920, height: 1080 } },
+  //   { name: 'phone', device: 'iPhone 15' }
+  // ],
+
+  // Readiness gates to wait for instead of fixed sleeps (see lib/readiness.js)
+  // ready: [
+  //   { type: 'selector', selector: '#price-table' },
+  //   { type: 'domQuiet', quietMs: 500, selector: 'main', stage: 'capture', timeout: 5000 }
+  // ],
+
+  // Post-capture validation: true (status, bot check), false, or settings such as blank: true (see lib/validation.js)
+  // validate: { mustContain: ['Upbit KRW'], minBytes: 20000 },
+
+  // Retry a failed scheduled capture with backoff, while within a minute of the target (see lib/retry.js)
+  // retry: { attempts: 3, backoffMs: 2000, lateWindowMs: 60000 },
+
+  // Jobs whose time passed while the server was down: skip, run, or grace (run within graceMs of the target)
+  // missed: { policy: 'grace', graceMs: 300000 },
+
+  // Capture ledger: every saved file is hashed into <screenshotPath>/ledger.jsonl
+  // (LEDGER_PATH to move it); set LEDGER_SIGNING_KEY to the path of a PEM private key file to sign entries
+  // ledger: false,
 };
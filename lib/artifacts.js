@@ -0,0 +1,137 @@
+/**
+ * Run artifacts
+ *
+ * Optional evidence saved next to a run's captures, in the run directory:
+ *
+ *   page.html    - serialized DOM of the prepared page at capture time
+ *   network.har  - HAR of all network traffic during the run
+ *   console.log  - browser console messages and uncaught page errors
+ *
+ * Artifacts are also written when the capture fails, as far as the run got.
+ *
+ * The HAR is redacted before it is kept, since run artifacts are served
+ * without authentication: the values of credential headers (Authorization,
+ * Proxy-Authorization, Cookie, Set-Cookie and any header a credential profile
+ * adds) and of every request and response cookie are replaced by [redacted].
+ */
+
+import { join } from 'path';
+import fs from 'fs';
+
+export const ARTIFACT_FILES = {
+  html: 'page.html',
+  har: 'network.har',
+  console: 'console.log'
+};
+
+// Headers whose values are always removed from the HAR
+const SENSITIVE_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie'];
+const REDACTED = '[redacted]';
+
+export const ARTIFACT_CONTENT_TYPES = {
+  'page.html': 'text/html; charset=utf-8',
+  'network.har': 'application/json; charset=utf-8',
+  'console.log': 'text/plain; charset=utf-8'
+};
+
+/**
+ * Replace credential header and cookie values in a saved HAR file
+ *
+ * sensitiveHeaders are extra header names to redact, e.g. a profile's headers.
+ */
+export function redactHar(harPath, sensitiveHeaders = []) {
+  const names = new Set([...SENSITIVE_HEADERS, ...sensitiveHeaders.map(name => name.toLowerCase())]);
+  const har = JSON.parse(fs.readFileSync(harPath, 'utf8'));
+
+  const redactMessage = (message) => {
+    if (!message) {
+      return;
+    }
+    for (const header of message.headers || []) {
+      if (names.has(header.name.toLowerCase())) {
+        header.value = REDACTED;
+      }
+    }
+    for (const cookie of message.cookies || []) {
+      cookie.value = REDACTED;
+    }
+  };
+
+  for (const entry of (har.log && har.log.entries) || []) {
+    redactMessage(entry.request);
+    redactMessage(entry.response);
+  }
+  fs.writeFileSync(harPath, JSON.stringify(har, null, 2));
+}
+
+/**
+ * Create a recorder for the artifacts enabled in settings ({ html, har, console })
+ *
+ * Pass contextOptions() to browser.newContext, attach() the page, call
+ * snapshotHtml() once the page is captured, close the context (which writes
+ * the HAR) and finally finish(), which redacts the HAR and returns the saved
+ * artifact filenames. sensitiveHeaders are redacted from the HAR on top of
+ * the standard credential headers.
+ */
+export function createArtifactRecorder(runDir, settings, log = console.log, sensitiveHeaders = []) {
+  const consoleLines = [];
+  let htmlSaved = false;
+
+  fs.mkdirSync(runDir, { recursive: true });
+
+  return {
+    contextOptions() {
+      if (!settings.har) {
+        return {};
+      }
+      return { recordHar: { path: join(runDir, ARTIFACT_FILES.har), content: 'embed' } };
+    },
+
+    attach(page) {
+      if (!settings.console) {
+        return;
+      }
+
+      page.on('console', message => {
+        const location = message.location();
+        const source = location && location.url ? ` (${location.url}:${location.lineNumber})` : '';
+        consoleLines.push(`[${new Date().toISOString()}] [${message.type()}] ${message.text()}${source}`);
+      });
+      page.on('pageerror', error => {
+        consoleLines.push(`[${new Date().toISOString()}] [pageerror] ${error.stack || error.message}`);
+      });
+    },
+
+    async snapshotHtml(page) {
+      if (!settings.html || htmlSaved) {
+        return;
+      }
+
+      try {
+        fs.writeFileSync(join(runDir, ARTIFACT_FILES.html), await page.content());
+        htmlSaved = true;
+      } catch (error) {
+        log(`Could not save page HTML: ${error.message}`);
+      }
+    },
+
+    finish() {
+      const harPath = join(runDir, ARTIFACT_FILES.har);
+      if (settings.har && fs.existsSync(harPath)) {
+        try {
+          redactHar(harPath, sensitiveHeaders);
+        } catch (error) {
+          // Never keep a HAR that may still hold credentials
+          fs.rmSync(harPath, { force: true });
+          log(`Could not redact the network HAR, so it was not kept: ${error.message}`);
+        }
+      }
+
+      if (settings.console) {
+        fs.writeFileSync(join(runDir, ARTIFACT_FILES.console), consoleLines.join('\n') + (consoleLines.length ? '\n' : ''));
+      }
+
+      return Object.values(ARTIFACT_FILES).filter(name => fs.existsSync(join(runDir, name)));
+    }
+  };
+}
@@ -0,0 +1,322 @@
+/**
+ * Warm browser pool
+ *
+ * Keeps Chromium running between captures so a job only opens a fresh
+ * context instead of launching a browser. Each browser serves up to
+ * contextsPerBrowser jobs at once and is:
+ *
+ *   health checked - pinged every healthCheckIntervalMs; one that does not
+ *                    answer is closed and replaced
+ *   recycled       - after maxUses jobs, or when its processes use more
+ *                    than maxMemoryMb (Linux only), once its jobs finish
+ *   replaced       - when it crashes or disconnects
+ *
+ * Jobs that arrive while every browser is full wait for a free slot (up to
+ * acquireTimeoutMs).
+ */
+
+import { chromium } from 'playwright';
+import fs from 'fs';
+
+export const defaultPoolOptions = {
+  size: Number(process.env.BROWSER_POOL_SIZE) || 1, // Browsers kept running
+  contextsPerBrowser: Number(process.env.BROWSER_POOL_CONTEXTS) || 3, // Jobs sharing one browser at a time
+  maxUses: Number(process.env.BROWSER_POOL_MAX_USES) || 50, // Jobs before a browser is recycled
+  maxMemoryMb: Number(process.env.BROWSER_POOL_MAX_MEMORY_MB) || 1024, // Memory before a browser is recycled
+  healthCheckIntervalMs: 30000,
+  healthCheckTimeoutMs: 5000,
+  acquireTimeoutMs: 60000,
+  launchOptions: { headless: true },
+  log: console.log
+};
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Resident memory of the given processes in MB, or null where /proc is not available
+ */
+function processMemoryMb(pids) {
+  let pages = 0;
+  for (const pid of pids) {
+    try {
+      pages += Number(fs.readFileSync(`/proc/${pid}/statm`, 'utf8').split(' ')[1]);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        return null;
+      }
+      // The process exited since it was listed
+    }
+  }
+  return Math.round(pages * 4096 / 1024 / 1024);
+}
+
+/**
+ * Launch a browser for a single capture, closed again on release
+ */
+export async function launchBrowser(launchOptions = defaultPoolOptions.launchOptions) {
+  const browser = await chromium.launch(launchOptions);
+  return { browser, release: () => browser.close() };
+}
+
+/**
+ * A browser for one capture: from the pool when there is one, else a fresh launch.
+ * Call release() when done.
+ */
+export function acquireBrowser(pool) {
+  return pool ? pool.acquire() : launchBrowser();
+}
+
+/**
+ * Create a browser pool; call warmUp() to launch its browsers ahead of the first job
+ */
+export function createBrowserPool(options = {}) {
+  const opts = { ...defaultPoolOptions, ...options };
+  const { log } = opts;
+  const entries = new Set();
+  const waiting = [];
+  let launching = 0;
+  let nextId = 1;
+  let closed = false;
+  let healthTimer = null;
+  const counters = { launched: 0, recycled: 0, crashed: 0, unhealthy: 0, served: 0 };
+
+  function available(entry) {
+    return !entry.retiring && entry.browser.isConnected();
+  }
+
+  function capacity() {
+    return [...entries].filter(available).length + launching;
+  }
+
+  async function closeEntry(entry, reason) {
+    entries.delete(entry);
+    entry.closing = true;
+    log(`Closing browser #${entry.id} (${reason}) after ${entry.uses} job(s)`);
+    await entry.browser.close().catch(() => {});
+  }
+
+  /**
+   * Stop handing out a browser and close it once its jobs are done
+   */
+  function retire(entry, reason) {
+    if (entry.retiring) {
+      return;
+    }
+    entry.retiring = reason;
+    counters.recycled++;
+    if (entry.leases === 0) {
+      closeEntry(entry, reason);
+    }
+    fillPool();
+  }
+
+  async function launch() {
+    launching++;
+    try {
+      const browser = await chromium.launch(opts.launchOptions);
+      const entry = { id: nextId++, browser, leases: 0, uses: 0, launchedAt: new Date(), memoryMb: null, retiring: null, closing: false };
+
+      browser.on('disconnected', () => {
+        if (entry.closing) {
+          return;
+        }
+        counters.crashed++;
+        entries.delete(entry);
+        log(`Browser #${entry.id} crashed or disconnected; replacing it`);
+        fillPool();
+      });
+
+      entries.add(entry);
+      counters.launched++;
+      log(`Browser #${entry.id} launched (${entries.size} running)`);
+      return entry;
+    } finally {
+      launching--;
+    }
+  }
+
+  /**
+   * Launch browsers until the pool is back at its size
+   */
+  function fillPool() {
+    if (closed) {
+      return;
+    }
+    while (capacity() < opts.size) {
+      launch()
+        .then(serveWaiting)
+        .catch(error => {
+          log(`Could not launch a browser: ${error.message}`);
+          // With no browser to wait for, fail the waiting jobs now
+          if (capacity() === 0) {
+            for (const waiter of waiting.splice(0)) {
+              clearTimeout(waiter.timer);
+              waiter.reject(error);
+            }
+          }
+        });
+    }
+    serveWaiting();
+  }
+
+  function freeEntry() {
+    return [...entries]
+      .filter(entry => available(entry) && entry.leases < opts.contextsPerBrowser)
+      .sort((a, b) => a.leases - b.leases)[0] || null;
+  }
+
+  function lease(entry) {
+    entry.leases++;
+    entry.uses++;
+    counters.served++;
+    let released = false;
+
+    return {
+      browser: entry.browser,
+      browserId: entry.id,
+      release: async () => {
+        if (released) {
+          return;
+        }
+        released = true;
+        entry.leases--;
+
+        // Crashed and unhealthy browsers have already left the pool
+        if (entries.has(entry)) {
+          if (!entry.retiring && entry.uses >= opts.maxUses) {
+            retire(entry, `reached ${opts.maxUses} jobs`);
+          } else if (entry.retiring && entry.leases === 0) {
+            await closeEntry(entry, entry.retiring);
+          }
+        }
+        serveWaiting();
+      }
+    };
+  }
+
+  function serveWaiting() {
+    while (waiting.length > 0) {
+      const entry = freeEntry();
+      if (!entry) {
+        return;
+      }
+      const waiter = waiting.shift();
+      clearTimeout(waiter.timer);
+      waiter.resolve(lease(entry));
+    }
+  }
+
+  /**
+   * Ping every browser, check its memory and replace any that are unhealthy
+   */
+  async function checkHealth() {
+    await Promise.all([...entries].filter(available).map(async (entry) => {
+      try {
+        const session = await withTimeout(entry.browser.newBrowserCDPSession(), opts.healthCheckTimeoutMs, 'no answer');
+        const { processInfo } = await withTimeout(session.send('SystemInfo.getProcessInfo'), opts.healthCheckTimeoutMs, 'no answer');
+        await session.detach().catch(() => {});
+
+        entry.memoryMb = processMemoryMb(processInfo.map(info => info.id));
+        if (entry.memoryMb !== null && entry.memoryMb > opts.maxMemoryMb) {
+          retire(entry, `using ${entry.memoryMb}MB`);
+        }
+      } catch (error) {
+        counters.unhealthy++;
+        log(`Browser #${entry.id} failed its health check (${error.message}); replacing it`);
+        // Its jobs are most likely stuck too, so do not wait for them
+        await closeEntry(entry, 'unhealthy');
+      }
+    }));
+    fillPool();
+  }
+
+  return {
+    /**
+     * Launch the pool's browsers and start the health checks
+     */
+    async warmUp() {
+      fillPool();
+      if (!healthTimer) {
+        healthTimer = setInterval(() => {
+          checkHealth().catch(error => log(`Health check error: ${error.message}`));
+        }, opts.healthCheckIntervalMs);
+        healthTimer.unref();
+      }
+      // Wait for the first browser so callers know the pool works
+      while (!freeEntry() && launching > 0) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+    },
+
+    /**
+     * Lease a browser for one job: { browser, browserId, release() }
+     */
+    acquire() {
+      if (closed) {
+        return Promise.reject(new Error('Browser pool is closed'));
+      }
+
+      const entry = freeEntry();
+      if (entry) {
+        return Promise.resolve(lease(entry));
+      }
+
+      return new Promise((resolve, reject) => {
+        const waiter = { resolve, reject };
+        waiter.timer = setTimeout(() => {
+          waiting.splice(waiting.indexOf(waiter), 1);
+          reject(new Error(`No browser became free within ${opts.acquireTimeoutMs}ms`));
+        }, opts.acquireTimeoutMs);
+        waiting.push(waiter);
+        fillPool();
+      });
+    },
+
+    checkHealth,
+
+    /**
+     * Current state of the pool
+     */
+    stats() {
+      return {
+        size: opts.size,
+        contextsPerBrowser: opts.contextsPerBrowser,
+        maxUses: opts.maxUses,
+        maxMemoryMb: opts.maxMemoryMb,
+        waiting: waiting.length,
+        launching,
+        ...counters,
+        browsers: [...entries].map(entry => ({
+          id: entry.id,
+          connected: entry.browser.isConnected(),
+          activeJobs: entry.leases,
+          uses: entry.uses,
+          memoryMb: entry.memoryMb,
+          launchedAt: entry.launchedAt.toISOString(),
+          retiring: entry.retiring
+        }))
+      };
+    },
+
+    /**
+     * Close every browser and fail any waiting jobs
+     */
+    async close() {
+      closed = true;
+      clearInterval(healthTimer);
+      for (const waiter of waiting.splice(0)) {
+        clearTimeout(waiter.timer);
+        waiter.reject(new Error('Browser pool is closed'));
+      }
+      await Promise.all([...entries].map(entry => closeEntry(entry, 'pool closed')));
+    }
+  };
+}
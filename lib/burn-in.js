@@ -0,0 +1,54 @@
+/**
+ * Burn-in timestamps
+ *
+ * Stamps the overlay onto a captured image instead of the live page: the
+ * screenshot is taken as a plain PNG, then drawn in a blank page of the same
+ * browser with the overlay on top and captured again in the requested
+ * format. The site never sees the overlay, and the time shown is the moment
+ * the screenshot was actually taken. PNG output also carries the stamped
+ * text in its metadata (the capture time itself is added with the rest of
+ * the provenance, see lib/provenance.js).
+ */
+
+import fs from 'fs';
+import { addTimestampOverlay, overlayLines } from './overlay.js';
+import { addPngText, pngSize } from './png-metadata.js';
+
+// Formats a burnt-in capture can be written in
+export const BURN_IN_FORMATS = ['png', 'jpeg'];
+
+/**
+ * Stamp the overlay onto a captured PNG and write the result to filepath
+ *
+ * capture is { buffer, filepath, capturedAt, context, scale }: the PNG
+ * screenshot, where to write it, when it was taken, the overlay's
+ * placeholder values and the capture's deviceScaleFactor.
+ */
+export async function burnInTimestamp(browser, capture, overlay, { format = 'png', quality = 100 } = {}) {
+  const { width, height } = pngSize(capture.buffer);
+  const page = await browser.newPage({ viewport: { width, height: Math.min(height, 4096) }, deviceScaleFactor: 1 });
+
+  try {
+    await page.setContent(
+      '<!DOCTYPE html><html><body style="margin: 0">' +
+      `<img id="capture" style="display: block" src="data:image/png;base64,${capture.buffer.toString('base64')}">` +
+      '</body></html>'
+    );
+    await page.locator('#capture').evaluate(image => image.decode());
+    await addTimestampOverlay(page, capture.capturedAt, overlay, capture.context, capture.scale);
+
+    const stamped = await page.screenshot({
+      fullPage: true,
+      type: format,
+      ...(format === 'jpeg' ? { quality } : {})
+    });
+
+    const output = format === 'png'
+      ? addPngText(stamped, { Timestamp: overlayLines(capture.capturedAt, overlay, capture.context).join('\n') })
+      : stamped;
+    fs.writeFileSync(capture.filepath, output);
+  } finally {
+    // Closes the page's own context too
+    await page.close();
+  }
+}
@@ -0,0 +1,899 @@
+/**
+ * Shared capture engine
+ *
+ * One implementation of the navigate → prepare → overlay → screenshot
+ * pipeline, used by index.js, server.js and schedule-screenshot.js.
+ */
+
+import { join } from 'path';
+import fs from 'fs';
+import { runSteps } from './steps.js';
+import { gatesForStage, waitForReadiness } from './readiness.js';
+import { resolveValidation, validateCapture } from './validation.js';
+import { FORMATS } from './formats.js';
+import { recordingContextOptions, saveClip } from './video.js';
+import { createRunId, runDirectory, writeRunRecord } from './runs.js';
+import { createArtifactRecorder } from './artifacts.js';
+import { extractData } from './extract.js';
+import { applyDevicePreset, emulationContextOptions } from './emulation.js';
+import { mergeCleanup, applyCleanup } from './cleanup.js';
+import { resolveOverlay, addTimestampOverlay } from './overlay.js';
+import { BURN_IN_FORMATS, burnInTimestamp } from './burn-in.js';
+import { buildProvenance, embedProvenance, sidecarPath } from './provenance.js';
+import { defaultLedgerPath, appendToLedger, loadSigningKey } from './ledger.js';
+import { defaultProfilesPath, loadProfile, profileContextOptions, applyProfileCookies } from './profiles.js';
+import { acquireBrowser } from './browser-pool.js';
+
+// Default capture options (override any of these per call)
+export const defaultCaptureOptions = {
+  url: 'https://kimpga.com/',
+  screenshotPath: join(process.env.HOME || '/tmp', 'Desktop', 'screenshots'),
+  viewport: { width: 1920, height: 1080 },
+  deviceScaleFactor: 2, // Higher resolution for better quality (like retina displays)
+  waitForNetworkIdle: false, // Set to true for stricter loading requirements
+  fullPage: false, // Only capture visible viewport, not entire page
+  scrollCount: 1, // Number of times to scroll down (half viewport) before capture
+  scrollDelay: 500, // Delay in ms between scrolls
+  format: 'png', // Output format: png, jpeg, webp or pdf
+  quality: 100, // JPEG/WebP quality (0-100, higher is better)
+  selector: null, // Capture only this element (CSS selector)
+  padding: 0, // Extra pixels around the selector's element
+  clip: null, // Capture only this { x, y, width, height } rectangle (page coordinates)
+  regions: null, // List of named { name, selector, padding, clip } regions, one image each
+  settleDelay: 3000, // Wait after navigation for dynamic content to render (unless ready has load-stage gates)
+  ready: null, // Readiness gates to wait for instead of fixed sleeps (see lib/readiness.js)
+  validate: true, // Post-capture checks (status, bot check, blank image, ...): true, false or settings (see lib/validation.js)
+  steps: 'kimpga', // Preparation steps: a preset name or a list of steps (see lib/steps.js)
+  overlay: true, // Timestamp overlay: true (defaults), false, or settings (see lib/overlay.js)
+  overlayTimezone: null, // Overlay timezone when overlay settings do not name one (default: system timezone)
+  jobName: null, // Shown by the overlay's {job} placeholder
+  jobId: null, // Recorded in each image's provenance metadata
+  attempt: 1, // Which try of a retried job this is (see lib/retry.js)
+  ledger: true, // Hash every saved file into the capture ledger (see lib/ledger.js)
+  ledgerPath: null, // Ledger file (default: LEDGER_PATH or <screenshotPath>/ledger.jsonl)
+  ledgerKey: process.env.LEDGER_SIGNING_KEY || null, // Path to a PEM private key file to sign ledger entries with
+  targetDate: null, // When set, prepare the page then capture at exactly this time
+  burst: null, // { count, intervalMs, startOffsetMs }: several frames around the target time
+  video: null, // { beforeMs, afterMs, format }: also record a clip around the target time
+  artifacts: null, // { html, har, console }: archive page HTML, network HAR and console output with the run
+  extract: null, // Extraction rules run right after the (first) screenshot (see lib/extract.js)
+  profile: null, // Name of the credential profile to capture with (see lib/profiles.js)
+  profilesPath: defaultProfilesPath,
+  device: null, // Playwright device preset, e.g. 'iPhone 15' (sets viewport, scale, user agent, touch)
+  locale: null, // Browser locale, e.g. 'en-US'
+  timezoneId: null, // Browser timezone, e.g. 'Asia/Seoul'
+  userAgent: null, // User agent override
+  geolocation: null, // { latitude, longitude, accuracy }
+  colorScheme: null, // 'light', 'dark' or 'no-preference'
+  viewports: null, // Capture set: list of { name, device } or { name, viewport, deviceScaleFactor }
+  cleanup: null, // { css, hide, remove, disableAnimations }: applied after the steps (see lib/cleanup.js)
+  browserPool: null, // Warm browser pool to capture with (see lib/browser-pool.js); default: launch a browser per capture
+  log: console.log
+};
+
+/**
+ * Merge caller options over the defaults (a device preset replaces the viewport and scale factor)
+ */
+export function resolveCaptureOptions(options = {}) {
+  return applyDevicePreset({ ...defaultCaptureOptions, ...options });
+}
+
+/**
+ * Make sure the screenshots directory exists
+ */
+function ensureDirectory(dirPath, log) {
+  if (!fs.existsSync(dirPath)) {
+    fs.mkdirSync(dirPath, { recursive: true });
+    log(`Created screenshots directory: ${dirPath}`);
+  }
+}
+
+/**
+ * Navigate to the URL, falling back to a basic 'load' wait if the first attempt times out
+ *
+ * Returns the main document's { status, url } (null if the browser did not report one).
+ */
+async function navigate(page, opts) {
+  const { log } = opts;
+  log(`Navigating to ${opts.url}...`);
+
+  let response;
+  try {
+    response = await page.goto(opts.url, {
+      waitUntil: opts.waitForNetworkIdle ? 'networkidle' : 'domcontentloaded',
+      timeout: 60000
+    });
+  } catch (error) {
+    log('First attempt timed out, trying with basic load strategy...');
+    response = await page.goto(opts.url, {
+      waitUntil: 'load',
+      timeout: 30000
+    });
+  }
+
+  return response ? { status: response.status(), url: response.url() } : null;
+}
+
+/**
+ * Scroll down by half a viewport scrollCount times
+ *
+ * settle adds a final pause for content to load; capture-stage readiness
+ * gates wait for that instead.
+ */
+async function scrollPage(page, opts, settle = true) {
+  if (opts.scrollCount <= 0) {
+    return;
+  }
+
+  opts.log(`Scrolling down ${opts.scrollCount} time(s) (half viewport)...`);
+  for (let i = 0; i < opts.scrollCount; i++) {
+    await page.evaluate(() => {
+      // Scroll by half viewport height for better positioning
+      window.scrollBy(0, window.innerHeight / 2);
+    });
+    await page.waitForTimeout(opts.scrollDelay);
+  }
+
+  if (settle) {
+    // Wait a bit more after final scroll for content to load
+    await page.waitForTimeout(1000);
+  }
+}
+
+/**
+ * Wait until the target date, if it is still in the future
+ */
+async function waitUntil(targetDate, log) {
+  const msUntilTarget = targetDate - new Date();
+
+  if (msUntilTarget > 0) {
+    log(`Page ready! Waiting ${msUntilTarget}ms for exact target time...`);
+    await new Promise(resolve => setTimeout(resolve, msUntilTarget));
+  }
+}
+
+/**
+ * Timing of a run from its marks ({ prewarmStart, browserReady, pageReady,
+ * captureCall, captureDone, targetTime } as Dates): the marks as ISO
+ * strings plus driftMs (first capture call - its target time),
+ * captureDurationMs and readyLeadMs (how long before the target the page
+ * was ready; negative when it was late)
+ */
+function captureTiming(marks, warning = null) {
+  const iso = time => (time ? time.toISOString() : null);
+  const between = (from, to) => (from && to ? to.getTime() - from.getTime() : null);
+
+  return {
+    prewarmStart: iso(marks.prewarmStart),
+    browserReady: iso(marks.browserReady),
+    pageReady: iso(marks.pageReady),
+    captureCall: iso(marks.captureCall),
+    captureDone: iso(marks.captureDone),
+    targetTime: iso(marks.targetTime),
+    driftMs: between(marks.targetTime, marks.captureCall),
+    captureDurationMs: between(marks.captureCall, marks.captureDone),
+    readyLeadMs: between(marks.pageReady, marks.targetTime),
+    warning
+  };
+}
+
+/**
+ * Filename-safe form of a timestamp
+ */
+function fileTimestamp(time) {
+  return time.toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Suffix telling a retry's files apart from the earlier attempts at the same target, e.g. ~a2
+ * (~ cannot be part of a region name, so the two are never confused)
+ */
+function attemptSuffix(attempt) {
+  return attempt > 1 ? `~a${attempt}` : '';
+}
+
+/**
+ * Generate a timestamped screenshot filename:
+ * screenshot-<timestamp>[-<region>][-t<offset>][~a<attempt>][@<viewport>].<ext>
+ */
+function buildFilename(time, format, region, offsetMs = null, viewport = null, attempt = 1) {
+  const timestamp = fileTimestamp(time);
+  const regionSuffix = region ? `-${region}` : '';
+  const offsetSuffix = offsetMs === null ? '' : `-t${formatOffset(offsetMs)}`;
+  const viewportSuffix = viewport ? `@${viewport}` : '';
+  return `screenshot-${timestamp}${regionSuffix}${offsetSuffix}${attemptSuffix(attempt)}${viewportSuffix}.${FORMATS[format].extension}`;
+}
+
+/**
+ * Format a burst offset from the target time, e.g. -400ms or +200ms
+ */
+function formatOffset(offsetMs) {
+  return `${offsetMs < 0 ? '-' : '+'}${Math.abs(offsetMs)}ms`;
+}
+
+/**
+ * Frame offsets (ms from the target) for a burst, or a single frame at 0
+ */
+function burstOffsets(burst) {
+  if (!burst) {
+    return [0];
+  }
+
+  const { count, intervalMs, startOffsetMs = 0 } = burst;
+  if (count > 1 && !(intervalMs >= 1)) {
+    throw new Error('burst.intervalMs must be at least 1 ms when burst.count is more than 1');
+  }
+  return Array.from({ length: count }, (_, i) => startOffsetMs + i * intervalMs);
+}
+
+/**
+ * The regions to capture: the configured list, or a single unnamed one
+ * built from the top-level selector/clip options
+ */
+function captureRegions(opts) {
+  if (opts.regions && opts.regions.length > 0) {
+    return opts.regions;
+  }
+  return [{ name: null, selector: opts.selector, padding: opts.padding, clip: opts.clip }];
+}
+
+/**
+ * Work out the clip rectangle (page coordinates) for a region, or null for the whole capture
+ */
+async function resolveClip(page, region, timeoutMs = 5000) {
+  if (region.clip) {
+    return region.clip;
+  }
+  if (!region.selector) {
+    return null;
+  }
+
+  const box = await page.locator(region.selector).first().boundingBox({ timeout: timeoutMs });
+  if (!box) {
+    throw new Error(`Element is not visible: ${region.selector}`);
+  }
+
+  // boundingBox is relative to the viewport, the clip is relative to the page
+  const scroll = await page.evaluate(() => ({ x: window.scrollX, y: window.scrollY }));
+  const padding = region.padding || 0;
+  const left = Math.max(0, box.x + scroll.x - padding);
+  const top = Math.max(0, box.y + scroll.y - padding);
+
+  return {
+    x: left,
+    y: top,
+    width: box.x + scroll.x + box.width + padding - left,
+    height: box.y + scroll.y + box.height + padding - top
+  };
+}
+
+/**
+ * Capture a WebP image through the Chrome DevTools Protocol
+ * (page.screenshot only supports PNG and JPEG)
+ */
+async function writeWebp(page, filepath, opts, clip) {
+  const session = await page.context().newCDPSession(page);
+  try {
+    const params = { format: 'webp', quality: opts.quality };
+
+    if (clip) {
+      params.clip = { ...clip, scale: 1 };
+      params.captureBeyondViewport = true;
+    } else if (opts.fullPage) {
+      const { cssContentSize } = await session.send('Page.getLayoutMetrics');
+      params.clip = { x: 0, y: 0, width: cssContentSize.width, height: cssContentSize.height, scale: 1 };
+      params.captureBeyondViewport = true;
+    }
+
+    const { data } = await session.send('Page.captureScreenshot', params);
+    fs.writeFileSync(filepath, Buffer.from(data, 'base64'));
+  } finally {
+    await session.detach();
+  }
+}
+
+/**
+ * Print the prepared page to a single-page PDF as wide as the viewport
+ */
+async function writePdf(page, filepath, opts) {
+  // Keep the on-screen look instead of the site's print stylesheet
+  await page.emulateMedia({ media: 'screen' });
+  const contentHeight = await page.evaluate(() => document.documentElement.scrollHeight);
+
+  await page.pdf({
+    path: filepath,
+    width: `${opts.viewport.width}px`,
+    height: `${Math.max(contentHeight, opts.viewport.height)}px`,
+    printBackground: true
+  });
+}
+
+/**
+ * Screenshot area options for a capture, optionally clipped
+ */
+function screenshotArea(opts, clip) {
+  // Clips are in page coordinates, which Playwright only uses in fullPage mode
+  return clip ? { clip, fullPage: true } : { fullPage: opts.fullPage };
+}
+
+/**
+ * Write the capture to disk in the requested format, optionally clipped
+ */
+async function writeCapture(page, filepath, opts, clip = null) {
+  const area = screenshotArea(opts, clip);
+
+  switch (opts.format) {
+    case 'jpeg':
+      await page.screenshot({ path: filepath, ...area, type: 'jpeg', quality: opts.quality });
+      break;
+    case 'webp':
+      await writeWebp(page, filepath, opts, clip);
+      break;
+    case 'pdf':
+      await writePdf(page, filepath, opts);
+      break;
+    default:
+      await page.screenshot({ path: filepath, ...area, type: 'png' });
+  }
+}
+
+/**
+ * Take a PNG screenshot into memory, to have the timestamp burnt in afterwards
+ */
+async function captureBuffer(page, opts, clip = null) {
+  return page.screenshot({ ...screenshotArea(opts, clip), type: 'png' });
+}
+
+/**
+ * Run extraction rules; a failure is logged and recorded instead of failing the capture
+ */
+async function extractPageData(page, rules, log) {
+  try {
+    const data = await extractData(page, rules);
+    if (data.missing.length > 0) {
+      log(`Extraction found nothing for: ${data.missing.join(', ')}`);
+    }
+    return data;
+  } catch (error) {
+    log(`Could not extract data: ${error.message}`);
+    return { extractedAt: new Date().toISOString(), fields: {}, tables: {}, missing: [], error: error.message };
+  }
+}
+
+/**
+ * The browser setups to capture: one per entry in viewports, or just the
+ * top-level viewport/device. An entry's device or viewport replaces the
+ * top-level one.
+ */
+function captureVariants(opts) {
+  if (!opts.viewports || opts.viewports.length === 0) {
+    return [{ name: null, opts }];
+  }
+
+  return opts.viewports.map(entry => ({
+    name: entry.name,
+    opts: applyDevicePreset({
+      ...opts,
+      device: entry.device || null,
+      viewport: entry.viewport || opts.viewport,
+      deviceScaleFactor: entry.deviceScaleFactor || opts.deviceScaleFactor,
+      log: message => opts.log(`[${entry.name}] ${message}`)
+    })
+  }));
+}
+
+/**
+ * Open a context for one variant, load the page and prepare it for capture
+ *
+ * Fills in session.context and session.page as it goes, so the caller can
+ * clean up after a failure part way through.
+ */
+async function preparePage(browser, session, { profile, cleanup, recording, artifacts }) {
+  const { opts } = session.variant;
+  const { log } = opts;
+
+  if (opts.device) {
+    log(`Emulating ${opts.device} (${opts.viewport.width}x${opts.viewport.height} @${opts.deviceScaleFactor}x)`);
+  }
+
+  // A profile's headers and HTTP auth only go to the captured site, not to the third parties it loads
+  const origin = new URL(opts.url).origin;
+  session.context = await browser.newContext({
+    viewport: opts.viewport,
+    deviceScaleFactor: opts.deviceScaleFactor,
+    ...emulationContextOptions(opts),
+    ...(profile ? profileContextOptions(profile, origin) : {}),
+    ...recording,
+    ...(artifacts ? artifacts.contextOptions() : {})
+  });
+  if (profile) {
+    await applyProfileCookies(session.context, profile, origin);
+  }
+  session.page = await session.context.newPage();
+  // The recording starts with the page
+  session.recordingStart = Date.now();
+  if (artifacts) {
+    artifacts.attach(session.page);
+  }
+
+  session.response = await navigate(session.page, opts);
+  session.readiness = [];
+  if (gatesForStage(opts.ready, 'load').length > 0) {
+    session.readiness.push(...await waitForReadiness(session.page, opts.ready, 'load', log));
+  } else {
+    // Wait a bit for any dynamic content to render
+    await session.page.waitForTimeout(opts.settleDelay);
+  }
+
+  session.steps = await runSteps(session.page, opts.steps, log);
+  if (cleanup) {
+    await applyCleanup(session.page, cleanup, log);
+  }
+
+  const captureGates = gatesForStage(opts.ready, 'capture');
+  await scrollPage(session.page, opts, captureGates.length === 0);
+  if (captureGates.length > 0) {
+    session.readiness.push(...await waitForReadiness(session.page, opts.ready, 'capture', log));
+  }
+
+  // Measure element regions up front, so a missing element fails the run before the target time
+  session.regions = [];
+  for (const region of captureRegions(opts)) {
+    session.regions.push({ name: region.name, region, clip: await resolveClip(session.page, region) });
+  }
+}
+
+/**
+ * Clip for a region right before it is captured
+ *
+ * Elements are measured again, since lazy content or ticker rows may have
+ * moved them since the page was prepared; an element that is gone by then
+ * keeps its earlier measurement.
+ */
+async function currentClip(page, { region, clip }, log) {
+  if (!region.selector) {
+    return clip;
+  }
+  try {
+    return await resolveClip(page, region, 250);
+  } catch (error) {
+    log(`⚠ Could not measure ${region.selector} again (${error.message.split('\n')[0]}); using its earlier position`);
+    return clip;
+  }
+}
+
+/**
+ * Capture a screenshot of a page
+ *
+ * Without targetDate the page is captured as soon as it is prepared. With
+ * targetDate the page is prepared first (pre-warm) and captured at exactly
+ * that moment; the overlay then shows the target time, unless it is in
+ * burn-in mode, which stamps each image with its actual capture time
+ * instead (see lib/burn-in.js).
+ *
+ * With regions, one image is written per region; with burst, one set per
+ * frame. files lists every image and filepath/filename point at the first;
+ * frames lists { offsetMs, scheduledFor, capturedAt, completedAt, driftMs, files }.
+ * With video, a clip of the window around the target is saved as well
+ * (see lib/video.js) and described in video. With extract, the extracted
+ * values are returned in data and saved as dataFile (JSON next to the image).
+ *
+ * With viewports ([{ name, device } or { name, viewport, deviceScaleFactor }]),
+ * the run is a capture set: every viewport gets its own context in the same
+ * browser, all are prepared in parallel and captured at the same moment.
+ * Their files carry an @<name> suffix and the viewport name, and viewports
+ * describes each one. Video, artifacts and extraction use the first viewport.
+ *
+ * Every image carries provenance metadata (source and final URL, job, target
+ * and capture time, drift, viewport, software; see lib/provenance.js) and
+ * each file notes where it went in metadata. Every saved file is then
+ * hashed into the capture ledger (see lib/ledger.js); files get sha256 and
+ * ledgerSeq.
+ *
+ * timing records when preparation started, the browser and page were
+ * ready, and the first capture was called and done, with its drift from the
+ * target time. A page that is not ready by the target time is captured as
+ * soon as it is, with a warning in timing. Each frame has its own driftMs.
+ *
+ * Every run gets a runId and a run.json record (see lib/runs.js); with
+ * artifacts, HTML/HAR/console output is archived next to it. With profile,
+ * the page is loaded with that profile's session, cookies, headers and HTTP auth.
+ * device, locale, timezoneId, userAgent, geolocation and colorScheme set up
+ * browser emulation (see lib/emulation.js). cleanup (plus the profile's)
+ * injects CSS, hides or removes elements and stops animations once the
+ * steps have run. ready gates (see lib/readiness.js) wait for the page after
+ * navigation and before capture instead of fixed sleeps; their results are
+ * in readiness.
+ *
+ * Finished captures are then validated (see lib/validation.js): the main
+ * document's HTTP status, bot-check pages, required or forbidden content,
+ * blank images and file size. A capture that fails validation keeps its
+ * files but is reported with success: false, the reasons in error and
+ * every check in validation.
+ *
+ * Never throws: returns { success: true, runId, filepath, filename, files, frames, format, url, finalUrl, jobId,
+ * attempt, profile, device, viewport, viewports, captureTime, targetDate, timing, video, data, dataFile, steps,
+ * readiness, validation, ledger, artifacts } or { success: false, runId, url, jobId, attempt, profile, targetDate, timing,
+ * error, artifacts } (plus everything else, and validation, when only validation failed).
+ */
+export async function captureScreenshot(options = {}) {
+  const opts = resolveCaptureOptions(options);
+  const { log } = opts;
+  const targetDate = opts.targetDate ? new Date(opts.targetDate) : null;
+  const runId = createRunId();
+  const marks = { prewarmStart: new Date(), targetTime: targetDate };
+  let timingWarning = null;
+
+  log(targetDate ? 'Pre-warming browser and loading page...' : 'Starting screenshot capture...');
+
+  let lease = null;
+  let sessions = [];
+  let recording = null;
+  let artifacts = null;
+  let result;
+  try {
+    if (!FORMATS[opts.format]) {
+      throw new Error(`Unsupported format "${opts.format}"`);
+    }
+    if (opts.format === 'pdf' && (opts.selector || opts.clip || opts.regions)) {
+      throw new Error('Element and region captures are not supported for PDF output');
+    }
+    const overlay = resolveOverlay(opts.overlay, opts.overlayTimezone);
+    const burnIn = overlay && overlay.mode === 'burn-in';
+    if (burnIn && !BURN_IN_FORMATS.includes(opts.format)) {
+      throw new Error(`Burnt-in timestamps are only supported for ${BURN_IN_FORMATS.join(' and ')} output`);
+    }
+    if (burnIn && opts.video) {
+      throw new Error('Burnt-in timestamps are not supported with video; use the page overlay for clips');
+    }
+    ensureDirectory(opts.screenshotPath, log);
+
+    const profile = opts.profile ? loadProfile(opts.profilesPath, opts.profile) : null;
+    if (profile) {
+      log(`Using credential profile: ${profile.name}`);
+    }
+
+    if (opts.artifacts) {
+      // The profile's own headers are redacted from the HAR along with the standard credential headers
+      artifacts = createArtifactRecorder(
+        runDirectory(opts.screenshotPath, runId),
+        opts.artifacts,
+        log,
+        Object.keys((profile && profile.headers) || {})
+      );
+    }
+
+    // The profile's cleanup applies first, then the job's
+    const cleanup = mergeCleanup(profile && profile.cleanup, opts.cleanup);
+
+    const variants = captureVariants(opts);
+    if (variants.length > 1) {
+      log(`Capture set: ${variants.map(variant => variant.name).join(', ')}`);
+    }
+
+    lease = await acquireBrowser(opts.browserPool);
+    const { browser } = lease;
+    if (lease.browserId) {
+      log(`Using pooled browser #${lease.browserId}`);
+    }
+    marks.browserReady = new Date();
+    // Video and artifacts come from the first (primary) viewport
+    recording = opts.video ? recordingContextOptions(variants[0].opts) : null;
+    sessions = variants.map(variant => ({ variant, context: null, page: null }));
+    await Promise.all(sessions.map((session, index) => preparePage(browser, session, {
+      profile,
+      cleanup,
+      recording: index === 0 ? recording : null,
+      artifacts: index === 0 ? artifacts : null
+    })));
+    const primary = sessions[0];
+
+    const offsets = burstOffsets(opts.burst);
+    // An immediate burst or clip is anchored late enough for its negative offsets / lead-in
+    const leadMs = Math.max(0, -offsets[0], opts.video ? opts.video.beforeMs : 0);
+    const anchor = targetDate || (opts.burst || opts.video ? new Date(Date.now() + leadMs) : null);
+    marks.targetTime = anchor ? new Date(anchor.getTime() + offsets[0]) : null;
+
+    if (overlay && !burnIn) {
+      // Prepare the overlay BEFORE waiting so the capture itself is immediate.
+      // A late capture (e.g. a retry) shows when it was actually taken.
+      const overlayTime = anchor && anchor > new Date() ? anchor : new Date();
+      await Promise.all(sessions.map(session =>
+        addTimestampOverlay(session.page, overlayTime, overlay, {
+          url: opts.url,
+          job: opts.jobName,
+          viewport: session.variant.name
+        })
+      ));
+      if (anchor) {
+        log('✓ Timestamp overlay prepared');
+      } else {
+        // Wait a moment for the overlay to render
+        await primary.page.waitForTimeout(300);
+      }
+    }
+
+    marks.pageReady = new Date();
+    if (marks.targetTime && marks.pageReady > marks.targetTime) {
+      timingWarning = `Page was not ready until ${marks.pageReady - marks.targetTime}ms after the target time`;
+      log(`⚠ ${timingWarning}; capturing now`);
+    }
+
+    const frames = [];
+    const stamps = [];
+    const provenance = [];
+    let data = null;
+    for (const [index, offsetMs] of offsets.entries()) {
+      if (anchor) {
+        await waitUntil(new Date(anchor.getTime() + offsetMs), log);
+        log(`Capturing NOW at ${new Date().toISOString()}${opts.burst ? ` (T${formatOffset(offsetMs)})` : ''}`);
+      }
+
+      const capturedAt = new Date();
+      const scheduledFor = anchor ? new Date(anchor.getTime() + offsetMs) : null;
+      if (index === 0) {
+        marks.captureCall = capturedAt;
+      }
+
+      // Every viewport is captured at the same moment
+      const sessionFiles = await Promise.all(sessions.map(async ({ variant, page, regions }) => {
+        const files = [];
+        for (const region of regions) {
+          // Burst frames share the target timestamp and are told apart by their offset
+          // A retry's files carry its attempt: burst frames are named after the target, which every attempt shares
+          const filename = opts.burst
+            ? buildFilename(anchor, opts.format, region.name, offsetMs, variant.name, opts.attempt)
+            : buildFilename(capturedAt, opts.format, region.name, null, variant.name, opts.attempt);
+          const filepath = join(opts.screenshotPath, filename);
+          const clip = await currentClip(page, region, log);
+          const fileCapturedAt = new Date();
+
+          if (burnIn) {
+            // Stamped after the last frame, so stamping never delays a capture
+            stamps.push({
+              buffer: await captureBuffer(page, variant.opts, clip),
+              filepath,
+              capturedAt: fileCapturedAt,
+              context: { url: opts.url, job: opts.jobName, viewport: variant.name },
+              scale: variant.opts.deviceScaleFactor
+            });
+          } else {
+            await writeCapture(page, filepath, variant.opts, clip);
+            log(`✓ Screenshot saved: ${filepath}`);
+          }
+          const file = {
+            viewport: variant.name,
+            region: region.name,
+            offsetMs: opts.burst ? offsetMs : null,
+            filename,
+            filepath,
+            capturedAt: fileCapturedAt.toISOString()
+          };
+          files.push(file);
+          provenance.push({
+            file,
+            metadata: buildProvenance({
+              sourceUrl: opts.url,
+              finalUrl: page.url(),
+              jobId: opts.jobId,
+              runId,
+              targetTime: scheduledFor,
+              captureTime: fileCapturedAt,
+              viewport: variant.opts.viewport,
+              deviceScaleFactor: variant.opts.deviceScaleFactor
+            })
+          });
+        }
+        return files;
+      }));
+
+      const completedAt = new Date();
+      if (index === 0) {
+        marks.captureDone = completedAt;
+      }
+      frames.push({
+        offsetMs,
+        scheduledFor: scheduledFor ? scheduledFor.toISOString() : null,
+        capturedAt: capturedAt.toISOString(),
+        completedAt: completedAt.toISOString(),
+        driftMs: scheduledFor ? capturedAt - scheduledFor : null,
+        files: sessionFiles.flat()
+      });
+
+      // Read the values off the page right after the first frame, which the data file is named after:
+      // before it, extraction would add to the drift, after the last frame of a burst the page may have moved on
+      if (opts.extract && index === 0) {
+        data = await extractPageData(primary.page, opts.extract, log);
+      }
+    }
+
+    if (marks.targetTime) {
+      const timing = captureTiming(marks);
+      log(`Timing: drift ${formatOffset(timing.driftMs)}, capture took ${timing.captureDurationMs}ms, page ready ${timing.readyLeadMs}ms before target`);
+    }
+
+    for (const stamp of stamps) {
+      await burnInTimestamp(browser, stamp, overlay, opts);
+      log(`✓ Screenshot saved: ${stamp.filepath} (timestamp burnt in at ${stamp.capturedAt.toISOString()})`);
+    }
+
+    // Check the pages and images before anything else changes them
+    const validationSettings = resolveValidation(opts.validate);
+    const validation = validationSettings
+      ? await validateCapture({ browser, sessions, files: provenance.map(({ file }) => file), format: opts.format }, validationSettings, log)
+      : null;
+
+    // Embed provenance once every file has its final contents
+    for (const { file, metadata } of provenance) {
+      try {
+        file.metadata = embedProvenance(file.filepath, opts.format, metadata);
+      } catch (error) {
+        log(`Could not embed provenance in ${file.filename}: ${error.message}`);
+      }
+    }
+
+    if (artifacts) {
+      await artifacts.snapshotHtml(primary.page);
+    }
+
+    let dataFile = null;
+    if (data) {
+      dataFile = frames[0].files[0].filename.replace(/\.[a-z]+$/i, '.json');
+      fs.writeFileSync(join(opts.screenshotPath, dataFile), JSON.stringify(data, null, 2));
+      log(`✓ Extracted data saved: ${dataFile}`);
+    }
+
+    let video = null;
+    if (opts.video) {
+      // Keep recording until the end of the window, then save the clip
+      const windowStart = anchor.getTime() - opts.video.beforeMs;
+      const windowEnd = anchor.getTime() + opts.video.afterMs;
+      const remainingMs = windowEnd - Date.now();
+      if (remainingMs > 0) {
+        log(`Recording ${remainingMs}ms more video...`);
+        await primary.page.waitForTimeout(remainingMs);
+      }
+
+      const pageVideo = primary.page.video();
+      await primary.context.close();
+      video = await saveClip(pageVideo, {
+        screenshotPath: opts.screenshotPath,
+        filenameBase: `clip-${fileTimestamp(anchor)}${attemptSuffix(opts.attempt)}`,
+        recordingStart: primary.recordingStart,
+        windowStart,
+        windowEnd,
+        format: opts.video.format || 'webm',
+        width: primary.variant.opts.viewport.width,
+        log
+      });
+    }
+
+    // Closing the contexts writes the HAR
+    await Promise.all(sessions.map(session => session.context.close()));
+    await lease.release();
+
+    const files = frames.flatMap(frame => frame.files);
+
+    let ledger = null;
+    if (opts.ledger) {
+      // Hash every saved file, now that none of them will change again
+      const common = { runId, jobId: opts.jobId, url: opts.url };
+      const records = [
+        ...provenance.map(({ file, metadata }) => ({
+          ...common,
+          filepath: file.filepath,
+          finalUrl: metadata.finalUrl,
+          targetTime: metadata.targetTime,
+          captureTime: metadata.captureTime
+        })),
+        // WebP and PDF keep their provenance in a sidecar file, which must not be editable unnoticed either
+        ...[
+          ...provenance.filter(({ file }) => file.metadata === 'sidecar').map(({ file }) => sidecarPath(file.filepath)),
+          video && video.filepath,
+          dataFile && join(opts.screenshotPath, dataFile)
+        ]
+          .filter(Boolean)
+          .map(filepath => ({ ...common, filepath, targetTime: targetDate ? targetDate.toISOString() : null }))
+      ];
+
+      try {
+        const entries = appendToLedger(
+          opts.ledgerPath || defaultLedgerPath(opts.screenshotPath),
+          records,
+          loadSigningKey(opts.ledgerKey)
+        );
+        provenance.forEach(({ file }, index) => {
+          file.sha256 = entries[index].sha256;
+          file.ledgerSeq = entries[index].seq;
+        });
+        log(`✓ Recorded ${entries.length} file(s) in the capture ledger (seq ${entries[0].seq}-${entries[entries.length - 1].seq})`);
+        ledger = { recorded: true, entries: entries.length, firstSeq: entries[0].seq, lastSeq: entries[entries.length - 1].seq, error: null };
+      } catch (error) {
+        // The capture itself is fine, but it is not in the chain: say so in the result and run record
+        log(`⚠ Could not update the capture ledger: ${error.message}`);
+        ledger = { recorded: false, entries: 0, firstSeq: null, lastSeq: null, error: error.message };
+      }
+    }
+
+    result = {
+      success: true,
+      runId,
+      filepath: files[0].filepath,
+      filename: files[0].filename,
+      files,
+      frames,
+      format: opts.format,
+      url: opts.url,
+      finalUrl: provenance[0].metadata.finalUrl,
+      jobId: opts.jobId,
+      attempt: opts.attempt,
+      profile: opts.profile,
+      device: primary.variant.opts.device,
+      viewport: primary.variant.opts.viewport,
+      viewports: variants[0].name !== null
+        ? sessions.map(({ variant, steps, readiness }) => ({
+          name: variant.name,
+          device: variant.opts.device,
+          viewport: variant.opts.viewport,
+          deviceScaleFactor: variant.opts.deviceScaleFactor,
+          files: files.filter(file => file.viewport === variant.name).map(file => file.filename),
+          steps,
+          readiness
+        }))
+        : null,
+      captureTime: frames[0].capturedAt,
+      targetDate: targetDate ? targetDate.toISOString() : null,
+      timing: captureTiming(marks, timingWarning),
+      video,
+      data,
+      dataFile,
+      steps: primary.steps,
+      readiness: primary.readiness,
+      validation,
+      ledger
+    };
+
+    if (validation && !validation.ok) {
+      // The files are kept (and in the ledger) as evidence of what was served
+      result.success = false;
+      result.error = `Capture failed validation: ${validation.failures.join('; ')}`;
+    }
+
+  } catch (error) {
+    log(`Error taking screenshot: ${error.message}`);
+    if (artifacts && sessions[0] && sessions[0].page) {
+      await artifacts.snapshotHtml(sessions[0].page);
+    }
+    for (const session of sessions) {
+      if (session.context) {
+        await session.context.close().catch(() => {});
+      }
+    }
+    if (lease) {
+      await lease.release();
+    }
+    if (recording) {
+      fs.rmSync(recording.recordVideo.dir, { recursive: true, force: true });
+    }
+    result = {
+      success: false,
+      runId,
+      url: opts.url,
+      jobId: opts.jobId,
+      attempt: opts.attempt,
+      profile: opts.profile,
+      targetDate: targetDate ? targetDate.toISOString() : null,
+      timing: captureTiming(marks, timingWarning),
+      error: error.message
+    };
+  }
+
+  try {
+    result.artifacts = artifacts ? artifacts.finish() : [];
+    writeRunRecord(opts.screenshotPath, result);
+  } catch (error) {
+    log(`Could not write run record: ${error.message}`);
+  }
+
+  return result;
+}
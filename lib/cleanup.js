@@ -0,0 +1,131 @@
+/**
+ * Page cleanup
+ *
+ * Applied to the prepared page after the preparation steps and before the
+ * overlay, so banners, chat widgets and ads do not cover the capture:
+ *
+ *   {
+ *     "css": ".sticky-header { position: static !important; }",
+ *     "hide": ["#chat-widget", ".ad-slot"],
+ *     "remove": [".cookie-banner"],
+ *     "disableAnimations": true
+ *   }
+ *
+ * hide keeps the element's space (visibility: hidden), remove takes it out
+ * of the page. disableAnimations finishes or pauses running animations and
+ * turns off transitions so captures are stable. Jobs and credential
+ * profiles can both carry cleanup settings; they are combined.
+ */
+
+const MAX_SELECTORS = 50;
+const MAX_CSS_LENGTH = 100000;
+
+// Stops transitions, pauses CSS animations and hides the blinking caret
+const FREEZE_CSS = `
+*, *::before, *::after {
+  transition: none !important;
+  animation-play-state: paused !important;
+  caret-color: transparent !important;
+}`;
+
+function check(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Validate cleanup settings, throwing on anything invalid
+ */
+export function parseCleanup(cleanup, field = 'cleanup') {
+  check(cleanup && typeof cleanup === 'object' && !Array.isArray(cleanup), `${field} must be { css, hide, remove, disableAnimations }`);
+  const parsed = {};
+
+  if (cleanup.css !== undefined) {
+    check(typeof cleanup.css === 'string' && cleanup.css.length <= MAX_CSS_LENGTH, `${field}.css must be a string of at most ${MAX_CSS_LENGTH} characters`);
+    parsed.css = cleanup.css;
+  }
+
+  for (const key of ['hide', 'remove']) {
+    if (cleanup[key] !== undefined) {
+      check(
+        Array.isArray(cleanup[key]) && cleanup[key].length <= MAX_SELECTORS &&
+          cleanup[key].every(selector => typeof selector === 'string' && selector.length > 0),
+        `${field}.${key} must be a list of at most ${MAX_SELECTORS} CSS selectors`
+      );
+      parsed[key] = cleanup[key];
+    }
+  }
+
+  if (cleanup.disableAnimations !== undefined) {
+    check(typeof cleanup.disableAnimations === 'boolean', `${field}.disableAnimations must be a boolean`);
+    parsed.disableAnimations = cleanup.disableAnimations;
+  }
+
+  return parsed;
+}
+
+/**
+ * Combine cleanup settings (e.g. a profile's and a job's); null if there are none
+ */
+export function mergeCleanup(...list) {
+  const settings = list.filter(Boolean);
+  if (settings.length === 0) {
+    return null;
+  }
+
+  return {
+    css: settings.map(cleanup => cleanup.css).filter(Boolean).join('\n'),
+    hide: settings.flatMap(cleanup => cleanup.hide || []),
+    remove: settings.flatMap(cleanup => cleanup.remove || []),
+    disableAnimations: settings.some(cleanup => cleanup.disableAnimations)
+  };
+}
+
+/**
+ * Apply cleanup settings to the page
+ */
+export async function applyCleanup(page, cleanup, log = console.log) {
+  const css = [
+    cleanup.css,
+    // One rule per selector, so an invalid selector only drops its own rule
+    ...cleanup.hide.map(selector => `${selector} { visibility: hidden !important; }`),
+    cleanup.disableAnimations ? FREEZE_CSS : ''
+  ].filter(Boolean).join('\n');
+
+  if (css) {
+    await page.addStyleTag({ content: css });
+  }
+
+  const removed = await page.evaluate(({ selectors, disableAnimations }) => {
+    let count = 0;
+    for (const selector of selectors) {
+      let elements = [];
+      try {
+        elements = document.querySelectorAll(selector);
+      } catch (error) {
+        console.warn(`Invalid remove selector: ${selector}`);
+      }
+      for (const element of elements) {
+        element.remove();
+        count++;
+      }
+    }
+
+    if (disableAnimations) {
+      for (const animation of document.getAnimations()) {
+        try {
+          // Jump finite animations to their end state
+          animation.finish();
+        } catch (error) {
+          // Infinite animations cannot finish; freeze them where they are
+          animation.pause();
+        }
+      }
+    }
+
+    return count;
+  }, { selectors: cleanup.remove, disableAnimations: cleanup.disableAnimations });
+
+  log(`✓ Page cleanup applied (${cleanup.hide.length} hidden, ${removed} removed${cleanup.disableAnimations ? ', animations disabled' : ''})`);
+}
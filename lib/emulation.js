@@ -0,0 +1,96 @@
+/**
+ * Browser emulation
+ *
+ * Context settings that change how the site sees the browser: a Playwright
+ * device preset (e.g. "iPhone 15", "Pixel 7") plus locale, timezoneId,
+ * userAgent, geolocation and colorScheme overrides.
+ */
+
+import { devices } from 'playwright';
+
+export const COLOR_SCHEMES = ['light', 'dark', 'no-preference'];
+
+/**
+ * Names of the available Playwright device presets
+ */
+export function listDevices() {
+  return Object.keys(devices).sort();
+}
+
+/**
+ * Whether a device preset exists
+ */
+export function isKnownDevice(name) {
+  return typeof name === 'string' && Object.prototype.hasOwnProperty.call(devices, name);
+}
+
+/**
+ * Whether a string is an IANA timezone the browser accepts
+ */
+export function isValidTimezone(timezoneId) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezoneId });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Whether a string is a BCP 47 locale, e.g. en-US
+ */
+export function isValidLocale(locale) {
+  try {
+    return Intl.getCanonicalLocales(locale).length === 1;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Use the device preset's viewport and scale factor, so scrolling, clips and
+ * video sizes follow the emulated screen (unknown devices are left to
+ * emulationContextOptions to report)
+ */
+export function applyDevicePreset(opts) {
+  if (!isKnownDevice(opts.device)) {
+    return opts;
+  }
+
+  const preset = devices[opts.device];
+  return { ...opts, viewport: preset.viewport, deviceScaleFactor: preset.deviceScaleFactor };
+}
+
+/**
+ * Browser context options for the device preset and emulation overrides
+ */
+export function emulationContextOptions(opts) {
+  const options = {};
+
+  if (opts.device) {
+    if (!isKnownDevice(opts.device)) {
+      throw new Error(`Unknown device "${opts.device}"`);
+    }
+    // Always Chromium here, whatever browser the preset was recorded with
+    const { viewport, deviceScaleFactor, defaultBrowserType, ...preset } = devices[opts.device];
+    Object.assign(options, preset);
+  }
+  if (opts.userAgent) {
+    options.userAgent = opts.userAgent;
+  }
+  if (opts.locale) {
+    options.locale = opts.locale;
+  }
+  if (opts.timezoneId) {
+    options.timezoneId = opts.timezoneId;
+  }
+  if (opts.geolocation) {
+    options.geolocation = opts.geolocation;
+    options.permissions = ['geolocation'];
+  }
+  if (opts.colorScheme) {
+    options.colorScheme = opts.colorScheme;
+  }
+
+  return options;
+}
@@ -0,0 +1,156 @@
+/**
+ * Structured data extraction
+ *
+ * Extraction rules read values off the page right after the screenshot (the
+ * first frame of a burst) is taken, so the numbers match the image without
+ * delaying it:
+ *
+ *   {
+ *     "fields": {
+ *       "btcPremium": ".premium .btc",
+ *       "usdKrw": { "selector": "#usd-krw", "attribute": "title", "type": "number" },
+ *       "coins": { "selector": ".coin-name", "all": true }
+ *     },
+ *     "tables": {
+ *       "premiums": { "selector": "table", "rowSelector": "tr", "cellSelector": "th, td", "header": true, "limit": 50 }
+ *     }
+ *   }
+ *
+ * A field is a selector string or { selector, attribute, type: 'text' | 'number', all }.
+ */
+
+const NAME = /^[a-z_][a-z0-9_]{0,63}$/i;
+const MAX_RULES = 100;
+
+function check(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+/**
+ * Normalise and validate extraction rules, throwing on anything invalid
+ */
+export function parseExtractRules(rules) {
+  check(rules && typeof rules === 'object' && !Array.isArray(rules), 'extract must be { fields, tables }');
+
+  const fields = {};
+  const tables = {};
+
+  for (const [name, rule] of Object.entries(rules.fields || {})) {
+    check(NAME.test(name), `extract.fields: "${name}" is not a valid field name`);
+    const field = typeof rule === 'string' ? { selector: rule } : rule;
+    check(field && isNonEmptyString(field.selector), `extract.fields.${name}.selector is required`);
+    check(field.attribute === undefined || isNonEmptyString(field.attribute), `extract.fields.${name}.attribute must be a string`);
+    check(field.type === undefined || ['text', 'number'].includes(field.type), `extract.fields.${name}.type must be text or number`);
+    check(field.all === undefined || typeof field.all === 'boolean', `extract.fields.${name}.all must be a boolean`);
+    fields[name] = { selector: field.selector, attribute: field.attribute || null, type: field.type || 'text', all: field.all === true };
+  }
+
+  for (const [name, rule] of Object.entries(rules.tables || {})) {
+    check(NAME.test(name), `extract.tables: "${name}" is not a valid table name`);
+    const table = typeof rule === 'string' ? { selector: rule } : rule;
+    check(table && isNonEmptyString(table.selector), `extract.tables.${name}.selector is required`);
+    for (const key of ['rowSelector', 'cellSelector']) {
+      check(table[key] === undefined || isNonEmptyString(table[key]), `extract.tables.${name}.${key} must be a string`);
+    }
+    check(table.header === undefined || typeof table.header === 'boolean', `extract.tables.${name}.header must be a boolean`);
+    check(table.limit === undefined || (Number.isInteger(table.limit) && table.limit > 0), `extract.tables.${name}.limit must be a positive integer`);
+    tables[name] = {
+      selector: table.selector,
+      rowSelector: table.rowSelector || 'tr',
+      cellSelector: table.cellSelector || 'th, td',
+      header: table.header !== false,
+      limit: table.limit || 500
+    };
+  }
+
+  check(Object.keys(fields).length + Object.keys(tables).length > 0, 'extract needs at least one field or table');
+  check(Object.keys(fields).length + Object.keys(tables).length <= MAX_RULES, `extract allows at most ${MAX_RULES} rules`);
+
+  return { fields, tables };
+}
+
+/**
+ * Run extraction rules on the page
+ *
+ * Returns { extractedAt, fields, tables, missing } where missing lists the
+ * rules whose selector matched nothing (their value is null).
+ */
+export async function extractData(page, rules) {
+  const { fields, tables } = parseExtractRules(rules);
+  const extractedAt = new Date().toISOString();
+
+  const data = await page.evaluate(({ fieldRules, tableRules }) => {
+    const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+    const toNumber = text => {
+      const match = clean(text).replace(/,/g, '').match(/[-+]?\d*\.?\d+(e[-+]?\d+)?/i);
+      return match ? Number(match[0]) : null;
+    };
+    const readValue = (element, rule) => {
+      const raw = rule.attribute ? element.getAttribute(rule.attribute) : element.innerText;
+      return rule.type === 'number' ? toNumber(raw) : clean(raw);
+    };
+
+    const missing = [];
+    const fieldValues = {};
+    for (const [name, rule] of Object.entries(fieldRules)) {
+      const elements = Array.from(document.querySelectorAll(rule.selector));
+      if (elements.length === 0) {
+        missing.push(`fields.${name}`);
+        fieldValues[name] = null;
+      } else {
+        fieldValues[name] = rule.all ? elements.map(element => readValue(element, rule)) : readValue(elements[0], rule);
+      }
+    }
+
+    const tableValues = {};
+    for (const [name, rule] of Object.entries(tableRules)) {
+      const table = document.querySelector(rule.selector);
+      if (!table) {
+        missing.push(`tables.${name}`);
+        tableValues[name] = null;
+        continue;
+      }
+
+      const rows = Array.from(table.querySelectorAll(rule.rowSelector))
+        .map(row => Array.from(row.querySelectorAll(rule.cellSelector)).map(cell => clean(cell.innerText)))
+        .filter(cells => cells.length > 0);
+
+      if (rule.header && rows.length > 0) {
+        const header = rows.shift().map((title, index) => title || `column${index + 1}`);
+        tableValues[name] = rows.slice(0, rule.limit).map(cells =>
+          Object.fromEntries(header.map((title, index) => [title, cells[index] ?? null]))
+        );
+      } else {
+        tableValues[name] = rows.slice(0, rule.limit);
+      }
+    }
+
+    return { fields: fieldValues, tables: tableValues, missing };
+  }, { fieldRules: fields, tableRules: tables });
+
+  return { extractedAt, ...data };
+}
+
+/**
+ * Quote a value for CSV
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document from a header and rows of values
+ */
+export function toCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,51 @@
+/**
+ * Output formats
+ *
+ * File extension and Content-Type for every format the capture engine can
+ * write, plus helpers to recognise saved captures by filename. Stills are
+ * named screenshot-*, video clips clip-*.
+ */
+
+import { extname } from 'path';
+
+export const FORMATS = {
+  png: { extension: 'png', contentType: 'image/png', kind: 'image', supportsQuality: false },
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg', kind: 'image', supportsQuality: true },
+  webp: { extension: 'webp', contentType: 'image/webp', kind: 'image', supportsQuality: true },
+  pdf: { extension: 'pdf', contentType: 'application/pdf', kind: 'document', supportsQuality: false },
+  webm: { extension: 'webm', contentType: 'video/webm', kind: 'video', supportsQuality: false },
+  gif: { extension: 'gif', contentType: 'image/gif', kind: 'video', supportsQuality: false }
+};
+
+// Formats a still capture can be written in
+export const OUTPUT_FORMATS = Object.keys(FORMATS).filter(format => FORMATS[format].kind !== 'video');
+
+const CAPTURE_PREFIXES = ['screenshot-', 'clip-'];
+
+const formatsByExtension = Object.fromEntries(
+  Object.entries(FORMATS).map(([format, info]) => [info.extension, format])
+);
+// Accept the long spelling too, e.g. for files renamed by hand
+formatsByExtension.jpeg = 'jpeg';
+
+/**
+ * Look up the format of a file from its extension (null if unknown)
+ */
+export function formatForFile(filename) {
+  return formatsByExtension[extname(filename).slice(1).toLowerCase()] || null;
+}
+
+/**
+ * Content-Type for a saved capture, falling back to a generic binary type
+ */
+export function contentTypeFor(filename) {
+  const format = formatForFile(filename);
+  return format ? FORMATS[format].contentType : 'application/octet-stream';
+}
+
+/**
+ * Whether a filename is a capture (still or clip) written by the engine
+ */
+export function isCaptureFile(filename) {
+  return CAPTURE_PREFIXES.some(prefix => filename.startsWith(prefix)) && formatForFile(filename) !== null;
+}
@@ -0,0 +1,409 @@
+/**
+ * Per-job capture options
+ *
+ * Validates the capture settings a client may send with a job and turns
+ * them into options for captureScreenshot().
+ */
+
+import { resolveSteps } from './steps.js';
+import { OUTPUT_FORMATS } from './formats.js';
+import { VIDEO_FORMATS } from './video.js';
+import { parseExtractRules } from './extract.js';
+import { isValidProfileName } from './profiles.js';
+import { parseCleanup } from './cleanup.js';
+import { parseReadiness } from './readiness.js';
+import { parseValidation } from './validation.js';
+import { parseRetry } from './retry.js';
+import { parseMissed } from './job-store.js';
+import { parseOverlay } from './overlay.js';
+import { BURN_IN_FORMATS } from './burn-in.js';
+import { COLOR_SCHEMES, isKnownDevice, isValidLocale, isValidTimezone } from './emulation.js';
+
+/**
+ * Throw a validation error unless the condition holds
+ */
+function check(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+function isNonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+const REGION_NAME = /^[a-z0-9_-]{1,40}$/i;
+const MAX_REGIONS = 20;
+
+/**
+ * Validate a clip rectangle
+ */
+function parseClip(clip, field) {
+  const { x, y, width, height } = clip || {};
+  check(
+    [x, y].every(value => typeof value === 'number' && value >= 0) &&
+      [width, height].every(value => typeof value === 'number' && value > 0),
+    `${field} must be { x, y, width, height } with non-negative x/y and positive width/height`
+  );
+  return { x, y, width, height };
+}
+
+/**
+ * Validate the element/clip part shared by the top level and each region
+ */
+function parseArea(source, prefix) {
+  const area = {};
+
+  if (source.selector !== undefined) {
+    check(typeof source.selector === 'string' && source.selector.length > 0, `${prefix}selector must be a CSS selector`);
+    area.selector = source.selector;
+  }
+
+  if (source.padding !== undefined) {
+    check(isNonNegativeInteger(source.padding) && source.padding <= 500, `${prefix}padding must be between 0 and 500 pixels`);
+    area.padding = source.padding;
+  }
+
+  if (source.clip !== undefined) {
+    check(area.selector === undefined, `${prefix}selector and ${prefix}clip cannot be combined`);
+    area.clip = parseClip(source.clip, `${prefix}clip`);
+  }
+
+  return area;
+}
+
+/**
+ * Validate a list of named regions
+ */
+function parseRegions(regions) {
+  check(Array.isArray(regions) && regions.length > 0 && regions.length <= MAX_REGIONS, `regions must be a list of 1 to ${MAX_REGIONS} regions`);
+
+  const names = new Set();
+  return regions.map((region, index) => {
+    check(region && typeof region === 'object', `regions[${index}] must be an object`);
+    check(typeof region.name === 'string' && REGION_NAME.test(region.name), `regions[${index}].name must be 1-40 letters, digits, - or _`);
+    check(!names.has(region.name), `regions[${index}].name "${region.name}" is used twice`);
+    names.add(region.name);
+
+    return { name: region.name, ...parseArea(region, `regions[${index}].`) };
+  });
+}
+
+const MAX_BURST_FRAMES = 50;
+const MAX_BURST_SPAN_MS = 120000;
+
+/**
+ * Validate burst settings
+ */
+function parseBurst(burst) {
+  const { count, intervalMs, startOffsetMs = 0 } = burst || {};
+  check(Number.isInteger(count) && count >= 1 && count <= MAX_BURST_FRAMES, `burst.count must be between 1 and ${MAX_BURST_FRAMES}`);
+  check(isNonNegativeInteger(intervalMs), 'burst.intervalMs must be a non-negative integer');
+  // Frames are named by their offset, so two frames at the same offset would overwrite each other
+  check(count === 1 || intervalMs >= 1, 'burst.intervalMs must be at least 1 ms when burst.count is more than 1');
+  check(Number.isInteger(startOffsetMs) && Math.abs(startOffsetMs) <= MAX_BURST_SPAN_MS, `burst.startOffsetMs must be within ±${MAX_BURST_SPAN_MS} ms`);
+  check((count - 1) * intervalMs <= MAX_BURST_SPAN_MS, `a burst may span at most ${MAX_BURST_SPAN_MS} ms`);
+  return { count, intervalMs, startOffsetMs };
+}
+
+const MAX_VIDEO_WINDOW_MS = 60000;
+
+/**
+ * Validate video clip settings
+ */
+function parseVideo(video) {
+  const { beforeMs = 0, afterMs = 0, format = 'webm' } = video || {};
+  check(isNonNegativeInteger(beforeMs) && isNonNegativeInteger(afterMs), 'video.beforeMs and video.afterMs must be non-negative integers');
+  check(beforeMs + afterMs > 0 && beforeMs + afterMs <= MAX_VIDEO_WINDOW_MS, `the video window must be between 1 and ${MAX_VIDEO_WINDOW_MS} ms`);
+  check(VIDEO_FORMATS.includes(format), `video.format must be one of: ${VIDEO_FORMATS.join(', ')}`);
+  return { beforeMs, afterMs, format };
+}
+
+/**
+ * Validate artifact settings: true for all, or { html, har, console }
+ */
+function parseArtifacts(artifacts) {
+  if (artifacts === true) {
+    return { html: true, har: true, console: true };
+  }
+
+  check(artifacts && typeof artifacts === 'object' && !Array.isArray(artifacts), 'artifacts must be true or { html, har, console }');
+  const parsed = {};
+  for (const name of ['html', 'har', 'console']) {
+    check(artifacts[name] === undefined || typeof artifacts[name] === 'boolean', `artifacts.${name} must be a boolean`);
+    parsed[name] = artifacts[name] === true;
+  }
+  return parsed;
+}
+
+/**
+ * Validate a geolocation
+ */
+function parseGeolocation(geolocation) {
+  const { latitude, longitude, accuracy = 0 } = geolocation || {};
+  check(
+    typeof latitude === 'number' && latitude >= -90 && latitude <= 90 &&
+      typeof longitude === 'number' && longitude >= -180 && longitude <= 180,
+    'geolocation must be { latitude, longitude } in degrees'
+  );
+  check(typeof accuracy === 'number' && accuracy >= 0, 'geolocation.accuracy must be a non-negative number of meters');
+  return { latitude, longitude, accuracy };
+}
+
+const MAX_VIEWPORTS = 6;
+
+/**
+ * Validate the viewports of a capture set
+ */
+function parseViewports(viewports) {
+  check(Array.isArray(viewports) && viewports.length > 0 && viewports.length <= MAX_VIEWPORTS, `viewports must be a list of 1 to ${MAX_VIEWPORTS} viewports`);
+
+  const names = new Set();
+  return viewports.map((entry, index) => {
+    const field = `viewports[${index}]`;
+    check(entry && typeof entry === 'object', `${field} must be an object`);
+    check(typeof entry.name === 'string' && REGION_NAME.test(entry.name), `${field}.name must be 1-40 letters, digits, - or _`);
+    check(!names.has(entry.name), `${field}.name "${entry.name}" is used twice`);
+    names.add(entry.name);
+
+    if (entry.device !== undefined) {
+      check(isKnownDevice(entry.device), `${field}.device "${entry.device}" is not a known device preset (see GET /api/devices)`);
+      check(entry.viewport === undefined && entry.deviceScaleFactor === undefined, `${field} takes either a device or a viewport`);
+      return { name: entry.name, device: entry.device };
+    }
+
+    const { width, height } = entry.viewport || {};
+    check(isPositiveInteger(width) && isPositiveInteger(height) && width <= 7680 && height <= 7680, `${field} needs a device or a viewport { width, height } of at most 7680x7680`);
+    const parsed = { name: entry.name, viewport: { width, height } };
+    if (entry.deviceScaleFactor !== undefined) {
+      const scale = entry.deviceScaleFactor;
+      check(typeof scale === 'number' && scale > 0 && scale <= 4, `${field}.deviceScaleFactor must be a number between 0 and 4`);
+      parsed.deviceScaleFactor = scale;
+    }
+    return parsed;
+  });
+}
+
+/**
+ * Validate browser emulation settings
+ */
+function parseEmulation(body) {
+  const emulation = {};
+
+  if (body.device !== undefined && body.device !== null && body.device !== '') {
+    check(isKnownDevice(body.device), `device "${body.device}" is not a known device preset (see GET /api/devices)`);
+    emulation.device = body.device;
+  }
+
+  if (body.locale !== undefined && body.locale !== null && body.locale !== '') {
+    check(typeof body.locale === 'string' && isValidLocale(body.locale), 'locale must be a locale such as en-US');
+    emulation.locale = body.locale;
+  }
+
+  if (body.timezoneId !== undefined && body.timezoneId !== null && body.timezoneId !== '') {
+    check(typeof body.timezoneId === 'string' && isValidTimezone(body.timezoneId), 'timezoneId must be an IANA timezone such as Asia/Seoul');
+    emulation.timezoneId = body.timezoneId;
+  }
+
+  if (body.userAgent !== undefined && body.userAgent !== null && body.userAgent !== '') {
+    check(typeof body.userAgent === 'string' && body.userAgent.length <= 1000, 'userAgent must be a string');
+    emulation.userAgent = body.userAgent;
+  }
+
+  if (body.geolocation !== undefined && body.geolocation !== null) {
+    emulation.geolocation = parseGeolocation(body.geolocation);
+  }
+
+  if (body.colorScheme !== undefined && body.colorScheme !== null && body.colorScheme !== '') {
+    check(COLOR_SCHEMES.includes(body.colorScheme), `colorScheme must be one of: ${COLOR_SCHEMES.join(', ')}`);
+    emulation.colorScheme = body.colorScheme;
+  }
+
+  return emulation;
+}
+
+/**
+ * Parse capture options from a request body
+ *
+ * Only the fields present in the body are returned, so callers can spread
+ * the result over their defaults. Throws an Error describing the first
+ * invalid field.
+ */
+export function parseJobOptions(body = {}) {
+  const options = {};
+
+  if (body.url !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(body.url);
+    } catch (error) {
+      parsed = null;
+    }
+    check(parsed && ['http:', 'https:'].includes(parsed.protocol), 'url must be an http(s) URL');
+    options.url = parsed.href;
+  }
+
+  if (body.viewport !== undefined) {
+    const { width, height } = body.viewport || {};
+    check(isPositiveInteger(width) && isPositiveInteger(height), 'viewport must be { width, height } in pixels');
+    check(width <= 7680 && height <= 7680, 'viewport must be at most 7680x7680');
+    options.viewport = { width, height };
+  }
+
+  if (body.deviceScaleFactor !== undefined) {
+    const scale = body.deviceScaleFactor;
+    check(typeof scale === 'number' && scale > 0 && scale <= 4, 'deviceScaleFactor must be a number between 0 and 4');
+    options.deviceScaleFactor = scale;
+  }
+
+  if (body.fullPage !== undefined) {
+    check(typeof body.fullPage === 'boolean', 'fullPage must be a boolean');
+    options.fullPage = body.fullPage;
+  }
+
+  if (body.scrollCount !== undefined) {
+    check(isNonNegativeInteger(body.scrollCount) && body.scrollCount <= 50, 'scrollCount must be an integer between 0 and 50');
+    options.scrollCount = body.scrollCount;
+  }
+
+  if (body.scrollDelay !== undefined) {
+    check(isNonNegativeInteger(body.scrollDelay) && body.scrollDelay <= 60000, 'scrollDelay must be between 0 and 60000 ms');
+    options.scrollDelay = body.scrollDelay;
+  }
+
+  if (body.format !== undefined) {
+    check(OUTPUT_FORMATS.includes(body.format), `format must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    options.format = body.format;
+  }
+
+  if (body.quality !== undefined) {
+    check(Number.isInteger(body.quality) && body.quality >= 0 && body.quality <= 100, 'quality must be an integer between 0 and 100');
+    options.quality = body.quality;
+  }
+
+  Object.assign(options, parseArea(body, ''));
+
+  if (body.regions !== undefined) {
+    options.regions = parseRegions(body.regions);
+  }
+
+  if (body.burst !== undefined) {
+    options.burst = parseBurst(body.burst);
+  }
+
+  if (body.video !== undefined && body.video !== null) {
+    options.video = parseVideo(body.video);
+  }
+
+  if (body.artifacts !== undefined && body.artifacts !== false && body.artifacts !== null) {
+    options.artifacts = parseArtifacts(body.artifacts);
+  }
+
+  if (body.extract !== undefined && body.extract !== null) {
+    options.extract = parseExtractRules(body.extract);
+  }
+
+  if (body.profile !== undefined && body.profile !== null && body.profile !== '') {
+    check(isValidProfileName(body.profile), 'profile must be a profile name');
+    options.profile = body.profile;
+  }
+
+  Object.assign(options, parseEmulation(body));
+
+  if (body.name !== undefined && body.name !== null && body.name !== '') {
+    check(typeof body.name === 'string' && body.name.length <= 100, 'name must be a string of at most 100 characters');
+    options.jobName = body.name;
+  }
+
+  if (body.overlay !== undefined && body.overlay !== null) {
+    options.overlay = parseOverlay(body.overlay);
+  }
+
+  if (body.cleanup !== undefined && body.cleanup !== null) {
+    options.cleanup = parseCleanup(body.cleanup);
+  }
+
+  if (body.viewports !== undefined && body.viewports !== null) {
+    options.viewports = parseViewports(body.viewports);
+  }
+
+  if (body.ready !== undefined && body.ready !== null) {
+    options.ready = parseReadiness(body.ready);
+  }
+
+  if (body.validate !== undefined) {
+    options.validate = parseValidation(body.validate);
+  }
+
+  if (body.retry !== undefined && body.retry !== null) {
+    options.retry = parseRetry(body.retry);
+  }
+
+  if (body.missed !== undefined && body.missed !== null) {
+    options.missed = parseMissed(body.missed);
+  }
+
+  if (options.overlay && options.overlay.mode === 'burn-in' && options.format) {
+    check(BURN_IN_FORMATS.includes(options.format), `overlay.mode burn-in needs format ${BURN_IN_FORMATS.join(' or ')}`);
+  }
+  if (options.overlay && options.overlay.mode === 'burn-in') {
+    // Clips are recorded from the page, which burn-in leaves untouched, so they would have no timestamp
+    check(!options.video, 'overlay.mode burn-in cannot be combined with video; use the page overlay for clips');
+  }
+
+  if (options.format === 'pdf') {
+    check(!options.selector && !options.clip && !options.regions, 'selector, clip and regions are not supported for PDF output');
+  }
+
+  if (body.steps !== undefined) {
+    // Throws with the offending step index if anything is malformed
+    resolveSteps(body.steps);
+    options.steps = body.steps;
+  }
+
+  return options;
+}
+
+/**
+ * Pick the job settings that are reported back through the API
+ */
+export function describeJobOptions(options) {
+  return {
+    url: options.url,
+    viewport: options.viewport,
+    deviceScaleFactor: options.deviceScaleFactor,
+    fullPage: options.fullPage,
+    scrollCount: options.scrollCount,
+    scrollDelay: options.scrollDelay,
+    format: options.format,
+    quality: options.quality,
+    selector: options.selector,
+    padding: options.padding,
+    clip: options.clip,
+    regions: options.regions,
+    burst: options.burst,
+    video: options.video,
+    artifacts: options.artifacts,
+    extract: options.extract,
+    profile: options.profile,
+    device: options.device,
+    locale: options.locale,
+    timezoneId: options.timezoneId,
+    userAgent: options.userAgent,
+    geolocation: options.geolocation,
+    colorScheme: options.colorScheme,
+    viewports: options.viewports,
+    cleanup: options.cleanup,
+    name: options.jobName,
+    overlay: options.overlay,
+    ready: options.ready,
+    validate: options.validate,
+    retry: options.retry,
+    missed: options.missed,
+    steps: options.steps
+  };
+}
@@ -0,0 +1,135 @@
+/**
+ * Persistent job store
+ *
+ * Scheduled jobs are saved to a JSON file (JOBS_PATH, default
+ * ~/.screenshot-scheduler/jobs.json, next to the credential profiles) so they
+ * survive restarts and redeploys. Each saved job keeps the request options it
+ * was scheduled with, so it picks up the server config of the process that
+ * restores it.
+ *
+ * A job whose time passed while the server was down is handled by its missed
+ * policy:
+ *
+ *   { "policy": "skip" }                     // drop it
+ *   { "policy": "run" }                      // capture as soon as the server is back
+ *   { "policy": "grace", "graceMs": 300000 } // capture if the server is back within graceMs of the target, else drop it
+ */
+
+import { join, dirname, resolve } from 'path';
+import fs from 'fs';
+
+export const MISSED_POLICIES = ['skip', 'run', 'grace'];
+
+export const defaultMissed = {
+  policy: 'grace',
+  graceMs: 300000
+};
+
+const STORE_VERSION = 1;
+
+function check(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+export const defaultJobStorePath = process.env.JOBS_PATH ||
+  join(process.env.HOME || '/tmp', '.screenshot-scheduler', 'jobs.json');
+
+/**
+ * Validate missed-job settings, throwing on anything invalid
+ */
+export function parseMissed(missed) {
+  check(missed && typeof missed === 'object' && !Array.isArray(missed), 'missed must be { policy, graceMs }');
+  const parsed = {};
+
+  if (missed.policy !== undefined) {
+    check(MISSED_POLICIES.includes(missed.policy), `missed.policy must be one of: ${MISSED_POLICIES.join(', ')}`);
+    parsed.policy = missed.policy;
+  }
+  if (missed.graceMs !== undefined) {
+    check(Number.isInteger(missed.graceMs) && missed.graceMs >= 0 && missed.graceMs <= 604800000, 'missed.graceMs must be between 0 and 604800000 ms');
+    parsed.graceMs = missed.graceMs;
+  }
+
+  return parsed;
+}
+
+/**
+ * Missed-job settings for a job, over the defaults
+ */
+export function resolveMissed(missed) {
+  return { ...defaultMissed, ...missed };
+}
+
+/**
+ * Whether to still run a job whose target time has passed: { run, reason }
+ */
+export function missedDecision(missed, targetDate, now = new Date()) {
+  const lateMs = now.getTime() - targetDate.getTime();
+
+  switch (missed.policy) {
+    case 'run':
+      return { run: true, reason: `policy run, ${lateMs}ms late` };
+    case 'grace':
+      return lateMs <= missed.graceMs
+        ? { run: true, reason: `${lateMs}ms late, within the ${missed.graceMs}ms grace window` }
+        : { run: false, reason: `${lateMs}ms late, past the ${missed.graceMs}ms grace window` };
+    default:
+      return { run: false, reason: `policy skip, ${lateMs}ms late` };
+  }
+}
+
+/**
+ * Read the saved jobs, or [] when there are none
+ *
+ * An unreadable file is moved aside (to <file>.corrupt-<time>) rather than
+ * overwritten, and [] is returned.
+ */
+export function loadJobs(file, log = console.log) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+
+  try {
+    const store = JSON.parse(fs.readFileSync(file, 'utf8'));
+    check(store && Array.isArray(store.jobs), 'no jobs list');
+    return store.jobs;
+  } catch (error) {
+    const aside = `${file}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    fs.renameSync(file, aside);
+    log(`Job store ${file} is unreadable (${error.message}); moved it to ${aside}`);
+    return [];
+  }
+}
+
+/**
+ * Move a store that older versions kept in the screenshot directory to file
+ *
+ * Nothing happens once file exists, so a store already in place wins.
+ */
+export function moveLegacyJobStore(screenshotPath, file, log = console.log) {
+  const legacy = join(screenshotPath, 'jobs.json');
+  if (resolve(legacy) === resolve(file) || !fs.existsSync(legacy) || fs.existsSync(file)) {
+    return;
+  }
+
+  fs.mkdirSync(dirname(file), { recursive: true });
+  // Copy rather than rename: the two may be on different volumes
+  fs.copyFileSync(legacy, file);
+  fs.unlinkSync(legacy);
+  log(`Moved the job store from ${legacy} to ${file}`);
+}
+
+/**
+ * Replace the saved jobs
+ *
+ * Written to a temporary file first, so a crash mid-write leaves the
+ * previous store intact.
+ */
+export function saveJobs(file, jobs) {
+  fs.mkdirSync(dirname(file), { recursive: true });
+  const temp = `${file}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify({ version: STORE_VERSION, savedAt: new Date().toISOString(), jobs }, null, 2));
+  fs.renameSync(temp, file);
+}
@@ -0,0 +1,60 @@
+/**
+ * Adaptive pre-warm lead time
+ *
+ * How early an exact-time job starts preparing its page, learned from past
+ * runs of the same URL and profile: a high percentile of how long they took
+ * to get the page ready (prewarmStart → pageReady, see timing in
+ * lib/capture.js) plus a safety margin, kept between a floor and a ceiling.
+ * Until there are enough runs, defaultMs is used.
+ */
+
+import { listRunRecords } from './runs.js';
+
+export const defaultLeadTime = {
+  defaultMs: 15000, // Lead without enough history
+  percentile: 90, // Of recent preparation times
+  marginMs: 3000, // Added on top of the percentile
+  floorMs: 5000,
+  ceilingMs: 60000,
+  sampleSize: 20, // Most recent runs considered
+  scanLimit: 500, // Most recent runs (of any URL) searched for those samples
+  minSamples: 3 // Runs needed before history is trusted
+};
+
+/**
+ * Nearest-rank percentile of a list of numbers
+ */
+export function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * Preparation times (ms) of the most recent runs of a URL and profile, newest first
+ */
+export function preparationTimes(runs, { url, profile = null }, sampleSize = defaultLeadTime.sampleSize) {
+  return runs
+    .filter(run => run.url === url && (run.profile || null) === (profile || null))
+    .filter(run => run.timing && run.timing.prewarmStart && run.timing.pageReady)
+    .map(run => new Date(run.timing.pageReady) - new Date(run.timing.prewarmStart))
+    .slice(0, sampleSize);
+}
+
+/**
+ * Lead time for a job: { leadMs, source: 'history' | 'default', samples, percentile, percentileMs }
+ *
+ * job is { url, profile }; settings override defaultLeadTime.
+ */
+export function computeLeadTime(screenshotPath, job, settings = {}) {
+  const opts = { ...defaultLeadTime, ...settings };
+  const samples = preparationTimes(listRunRecords(screenshotPath, opts.scanLimit), job, opts.sampleSize);
+
+  if (samples.length < opts.minSamples) {
+    return { leadMs: opts.defaultMs, source: 'default', samples: samples.length, percentile: opts.percentile, percentileMs: null };
+  }
+
+  const percentileMs = percentile(samples, opts.percentile);
+  const leadMs = Math.min(opts.ceilingMs, Math.max(opts.floorMs, percentileMs + opts.marginMs));
+  return { leadMs, source: 'history', samples: samples.length, percentile: opts.percentile, percentileMs };
+}
@@ -0,0 +1,272 @@
+/**
+ * Capture ledger
+ *
+ * A tamper-evident record of every saved capture: one JSON line per file in
+ * <screenshotPath>/ledger.jsonl (or LEDGER_PATH) holding its SHA-256 and
+ * provenance. Each entry's hash covers its fields plus the previous entry's
+ * hash, so editing, removing or reordering any line breaks the chain from
+ * there on. With LEDGER_SIGNING_KEY (the path to a PEM private key file, Ed25519 recommended)
+ * every entry hash is also signed.
+ *
+ * Create a key with: openssl genpkey -algorithm ed25519 -out ledger-key.pem
+ */
+
+import crypto from 'crypto';
+import { join, basename } from 'path';
+import fs from 'fs';
+
+export const GENESIS_HASH = '0'.repeat(64);
+
+// Hashed fields, in the order they are hashed
+const ENTRY_FIELDS = [
+  'seq', 'recordedAt', 'filename', 'sha256', 'size',
+  'runId', 'jobId', 'url', 'finalUrl', 'targetTime', 'captureTime', 'prevHash'
+];
+
+/**
+ * Ledger file for a screenshots directory
+ */
+export function defaultLedgerPath(screenshotPath) {
+  return process.env.LEDGER_PATH || join(screenshotPath, 'ledger.jsonl');
+}
+
+/**
+ * SHA-256 of a file, hex encoded
+ */
+export function hashFile(filepath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filepath)).digest('hex');
+}
+
+function entryHash(entry) {
+  const body = Object.fromEntries(ENTRY_FIELDS.map(field => [field, entry[field] ?? null]));
+  return crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+}
+
+/**
+ * Short id of a public key, so entries show which key signed them
+ */
+function keyId(publicKey) {
+  const der = publicKey.export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha256').update(der).digest('hex').slice(0, 16);
+}
+
+function signatureAlgorithm(key) {
+  // Ed25519/Ed448 sign the message directly; RSA and EC keys need a digest
+  return ['ed25519', 'ed448'].includes(key.asymmetricKeyType) ? null : 'sha256';
+}
+
+/**
+ * Load the signing key from LEDGER_SIGNING_KEY (a path to a PEM private key), or null
+ */
+export function loadSigningKey(keyPath = process.env.LEDGER_SIGNING_KEY) {
+  if (!keyPath) {
+    return null;
+  }
+  return crypto.createPrivateKey(fs.readFileSync(keyPath));
+}
+
+/**
+ * Load the key to verify signatures with: LEDGER_PUBLIC_KEY, or the public
+ * half of LEDGER_SIGNING_KEY; null if neither is configured
+ */
+export function loadVerifyKey() {
+  if (process.env.LEDGER_PUBLIC_KEY) {
+    return crypto.createPublicKey(fs.readFileSync(process.env.LEDGER_PUBLIC_KEY));
+  }
+  const signingKey = loadSigningKey();
+  return signingKey ? crypto.createPublicKey(signingKey) : null;
+}
+
+/**
+ * Read every ledger entry, oldest first (lines that are not JSON are reported as null)
+ */
+export function readLedger(file) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim().length > 0)
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    });
+}
+
+/**
+ * The last entry of the ledger, reading only the end of the file
+ */
+function lastEntry(file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  const { size } = fs.statSync(file);
+  const length = Math.min(size, 65536);
+  const buffer = Buffer.alloc(length);
+  const fd = fs.openSync(file, 'r');
+  try {
+    fs.readSync(fd, buffer, 0, length, size - length);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  // A truncated line (e.g. from a crash mid-write) stays in the file as a
+  // visible break; the chain goes on from the last intact entry
+  const lines = buffer.toString('utf8').split('\n').filter(line => line.trim().length > 0);
+  for (let index = lines.length - 1; index >= 0; index--) {
+    try {
+      return JSON.parse(lines[index]);
+    } catch (error) {
+      // Not a complete entry
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether the file ends in the middle of a line
+ */
+function endsMidLine(file) {
+  const { size } = fs.statSync(file);
+  if (size === 0) {
+    return false;
+  }
+  const buffer = Buffer.alloc(1);
+  const fd = fs.openSync(file, 'r');
+  try {
+    fs.readSync(fd, buffer, 0, 1, size - 1);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return buffer[0] !== 0x0a;
+}
+
+/**
+ * Hash the given files and append them to the ledger
+ *
+ * records is a list of { filepath, runId, jobId, url, finalUrl, targetTime,
+ * captureTime }. Returns the new entries. Everything is synchronous, so
+ * captures finishing at the same time in one process cannot interleave.
+ */
+export function appendToLedger(file, records, signingKey = null) {
+  let previous = lastEntry(file);
+  const signer = signingKey ? { key: signingKey, id: keyId(crypto.createPublicKey(signingKey)) } : null;
+
+  const entries = records.map(record => {
+    const entry = {
+      seq: previous ? previous.seq + 1 : 1,
+      recordedAt: new Date().toISOString(),
+      filename: basename(record.filepath),
+      sha256: hashFile(record.filepath),
+      size: fs.statSync(record.filepath).size,
+      runId: record.runId || null,
+      jobId: record.jobId || null,
+      url: record.url || null,
+      finalUrl: record.finalUrl || null,
+      targetTime: record.targetTime || null,
+      captureTime: record.captureTime || null,
+      prevHash: previous ? previous.hash : GENESIS_HASH
+    };
+    entry.hash = entryHash(entry);
+
+    if (signer) {
+      entry.signature = crypto.sign(signatureAlgorithm(signer.key), Buffer.from(entry.hash, 'hex'), signer.key).toString('base64');
+      entry.keyId = signer.id;
+    }
+
+    previous = entry;
+    return entry;
+  });
+
+  // Never glue the first new entry onto a truncated last line
+  const separator = fs.existsSync(file) && endsMidLine(file) ? '\n' : '';
+  fs.appendFileSync(file, separator + entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+  return entries;
+}
+
+/**
+ * Check the whole chain
+ *
+ * Returns { ok, entries, signed, breaks } where breaks lists
+ * { seq, line, reason } for every entry that does not check out.
+ * Signatures are checked when a verify key is available.
+ */
+export function verifyLedger(file, verifyKey = loadVerifyKey()) {
+  const entries = readLedger(file);
+  const breaks = [];
+  const verifyKeyId = verifyKey ? keyId(verifyKey) : null;
+  let previous = null;
+  let signed = 0;
+
+  entries.forEach((entry, index) => {
+    const line = index + 1;
+    if (!entry) {
+      breaks.push({ seq: null, line, reason: 'line is not valid JSON' });
+      return;
+    }
+
+    const expectedSeq = previous ? previous.seq + 1 : 1;
+    if (entry.seq !== expectedSeq) {
+      breaks.push({ seq: entry.seq, line, reason: `expected seq ${expectedSeq}` });
+    }
+    const expectedPrev = previous ? previous.hash : GENESIS_HASH;
+    if (entry.prevHash !== expectedPrev) {
+      breaks.push({ seq: entry.seq, line, reason: 'prevHash does not match the previous entry' });
+    }
+    if (entryHash(entry) !== entry.hash) {
+      breaks.push({ seq: entry.seq, line, reason: 'entry was modified (hash mismatch)' });
+    }
+
+    if (entry.signature) {
+      signed++;
+      if (verifyKey) {
+        const valid = entry.keyId === verifyKeyId && crypto.verify(
+          signatureAlgorithm(verifyKey),
+          Buffer.from(entry.hash, 'hex'),
+          verifyKey,
+          Buffer.from(entry.signature, 'base64')
+        );
+        if (!valid) {
+          breaks.push({ seq: entry.seq, line, reason: entry.keyId === verifyKeyId ? 'invalid signature' : `signed with another key (${entry.keyId})` });
+        }
+      }
+    }
+
+    previous = entry;
+  });
+
+  return {
+    ok: breaks.length === 0,
+    entries: entries.length,
+    signed,
+    signaturesChecked: Boolean(verifyKey),
+    breaks
+  };
+}
+
+/**
+ * Check a capture file against the ledger
+ *
+ * Returns { filename, sha256, recorded, matches, entry, chain }: recorded
+ * is false if the file was never logged; matches is whether the file still
+ * has the hash its latest entry recorded.
+ */
+export function verifyFile(file, filepath, verifyKey = loadVerifyKey()) {
+  const filename = basename(filepath);
+  const sha256 = hashFile(filepath);
+  const entry = readLedger(file).filter(item => item && item.filename === filename).pop() || null;
+
+  return {
+    filename,
+    sha256,
+    recorded: Boolean(entry),
+    matches: Boolean(entry) && entry.sha256 === sha256,
+    entry,
+    chain: verifyLedger(file, verifyKey)
+  };
+}
@@ -0,0 +1,244 @@
+/**
+ * Timestamp overlay
+ *
+ * The box on each capture showing when it was taken. Every entry point shares these defaults; a job or config
+ * overrides any of them with overlay: false or an object such as:
+ *
+ *   {
+ *     "mode": "burn-in",                // or "page" (the default)
+ *     "position": "top-right",          // or { "x": 20, "y": 20 } in pixels
+ *     "format": ["YYYY-MM-DD", "HH:mm:ss.SSS Z"],
+ *     "timezone": "Asia/Seoul",
+ *     "text": ["{url}", "Job: {job}", "Kimchi premium"],
+ *     "style": { "color": "#fff", "background": "rgba(0, 0, 0, 0.6)", "fontSize": 12 }
+ *   }
+ *
+ * format lines use the tokens YYYY MM DD HH mm ss SSS (milliseconds),
+ * Z (UTC offset, e.g. +09:00) and z (timezone name); [text] is literal.
+ * text lines may use {url}, {job} and {viewport}.
+ *
+ * In "page" mode the box is added to the live page before capture and shows
+ * the scheduled time. In "burn-in" mode the page is left untouched and the
+ * box is stamped onto each image afterwards with the actual capture time
+ * (see lib/burn-in.js).
+ */
+
+export const OVERLAY_POSITIONS = {
+  'top-left': { top: '20px', left: '20px' },
+  'top-right': { top: '20px', right: '20px' },
+  'bottom-left': { bottom: '20px', left: '20px' },
+  'bottom-right': { bottom: '20px', right: '20px' },
+  // The original placement, clear of kimpga.com's header and table
+  'middle-right': { bottom: '60%', right: '20px' }
+};
+
+const STYLE_KEYS = ['color', 'background', 'borderColor', 'fontFamily', 'fontSize', 'opacity'];
+
+export const OVERLAY_MODES = ['page', 'burn-in'];
+
+export const defaultOverlay = {
+  mode: 'page',
+  position: 'middle-right',
+  format: ['YYYY-MM-DD', 'HH:mm:ss z'],
+  timezone: process.env.OVERLAY_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+  text: [],
+  style: {
+    color: '#00ff00',
+    background: 'rgba(0, 0, 0, 0.9)',
+    borderColor: '#00ff00',
+    fontFamily: "'Courier New', monospace",
+    fontSize: 16,
+    opacity: 1
+  }
+};
+
+function check(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function isLineList(value) {
+  return Array.isArray(value) && value.length <= 10 && value.every(line => typeof line === 'string' && line.length <= 200);
+}
+
+/**
+ * Validate overlay settings (true, false or an object), throwing on anything invalid
+ */
+export function parseOverlay(overlay) {
+  if (typeof overlay === 'boolean') {
+    return overlay;
+  }
+
+  check(overlay && typeof overlay === 'object' && !Array.isArray(overlay), 'overlay must be true, false or an object');
+  const parsed = {};
+
+  if (overlay.mode !== undefined) {
+    check(OVERLAY_MODES.includes(overlay.mode), `overlay.mode must be one of: ${OVERLAY_MODES.join(', ')}`);
+    parsed.mode = overlay.mode;
+  }
+
+  if (overlay.position !== undefined) {
+    const { position } = overlay;
+    if (typeof position === 'string') {
+      check(OVERLAY_POSITIONS[position], `overlay.position must be one of ${Object.keys(OVERLAY_POSITIONS).join(', ')} or { x, y }`);
+      parsed.position = position;
+    } else {
+      const { x, y } = position || {};
+      check(Number.isInteger(x) && x >= 0 && Number.isInteger(y) && y >= 0, 'overlay.position { x, y } must be non-negative pixel offsets');
+      parsed.position = { x, y };
+    }
+  }
+
+  if (overlay.format !== undefined) {
+    const format = typeof overlay.format === 'string' ? [overlay.format] : overlay.format;
+    check(isLineList(format) && format.length > 0, 'overlay.format must be a format string or a list of up to 10 lines');
+    parsed.format = format;
+  }
+
+  if (overlay.timezone !== undefined) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: overlay.timezone });
+    } catch (error) {
+      check(false, 'overlay.timezone must be an IANA timezone such as Asia/Seoul');
+    }
+    parsed.timezone = overlay.timezone;
+  }
+
+  if (overlay.text !== undefined) {
+    const text = typeof overlay.text === 'string' ? [overlay.text] : overlay.text;
+    check(isLineList(text), 'overlay.text must be a string or a list of up to 10 lines');
+    parsed.text = text;
+  }
+
+  if (overlay.style !== undefined) {
+    const { style } = overlay;
+    check(style && typeof style === 'object' && !Array.isArray(style), `overlay.style must be an object with any of: ${STYLE_KEYS.join(', ')}`);
+    for (const [key, value] of Object.entries(style)) {
+      check(STYLE_KEYS.includes(key), `overlay.style.${key} is not supported (use ${STYLE_KEYS.join(', ')})`);
+      if (key === 'fontSize') {
+        check(Number.isInteger(value) && value >= 6 && value <= 200, 'overlay.style.fontSize must be 6-200 pixels');
+      } else if (key === 'opacity') {
+        check(typeof value === 'number' && value >= 0 && value <= 1, 'overlay.style.opacity must be between 0 and 1');
+      } else {
+        check(typeof value === 'string' && value.length <= 200, `overlay.style.${key} must be a CSS value`);
+      }
+    }
+    parsed.style = style;
+  }
+
+  return parsed;
+}
+
+/**
+ * Overlay settings for a capture, or null when the overlay is off
+ *
+ * timezone is the legacy overlayTimezone option, used when the overlay
+ * settings do not name one.
+ */
+export function resolveOverlay(overlay, timezone = null) {
+  if (overlay === false || overlay === null) {
+    return null;
+  }
+
+  const settings = overlay === true || overlay === undefined ? {} : overlay;
+  return {
+    ...defaultOverlay,
+    timezone: timezone || defaultOverlay.timezone,
+    ...settings,
+    style: { ...defaultOverlay.style, ...settings.style }
+  };
+}
+
+/**
+ * Format a time with a format line (see the tokens above)
+ */
+export function formatTime(time, pattern, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      fractionalSecondDigits: 3,
+      timeZoneName: 'longOffset',
+      hourCycle: 'h23'
+    }).formatToParts(time).map(part => [part.type, part.value])
+  );
+
+  // "GMT+09:00" → "+09:00", "GMT" → "+00:00"
+  const offset = parts.timeZoneName.replace('GMT', '') || '+00:00';
+  const tokens = {
+    YYYY: parts.year,
+    MM: parts.month,
+    DD: parts.day,
+    HH: parts.hour,
+    mm: parts.minute,
+    ss: parts.second,
+    SSS: parts.fractionalSecond,
+    Z: offset,
+    z: timezone
+  };
+
+  return pattern.replace(/\[([^\]]*)\]|YYYY|SSS|MM|DD|HH|mm|ss|Z|z/g, (match, literal) =>
+    literal !== undefined ? literal : tokens[match]
+  );
+}
+
+/**
+ * The lines of text the overlay shows for a capture at the given time
+ *
+ * context fills the text placeholders: { url, job, viewport }.
+ */
+export function overlayLines(time, overlay, context = {}) {
+  const fill = line => line.replace(/\{(url|job|viewport)\}/g, (match, key) => context[key] || '');
+  return [
+    ...overlay.format.map(pattern => formatTime(time, pattern, overlay.timezone)),
+    ...overlay.text.map(fill).filter(line => line.trim().length > 0)
+  ];
+}
+
+/**
+ * Inject the overlay showing the given time into the page
+ *
+ * scale enlarges the box, e.g. to match a capture's deviceScaleFactor when
+ * stamping the image afterwards.
+ */
+export async function addTimestampOverlay(page, time, overlay, context = {}, scale = 1) {
+  const lines = overlayLines(time, overlay, context);
+  const position = typeof overlay.position === 'string'
+    ? OVERLAY_POSITIONS[overlay.position]
+    : { top: `${overlay.position.y}px`, left: `${overlay.position.x}px` };
+
+  await page.evaluate(({ overlayLines, position, style, scale }) => {
+    const box = document.createElement('div');
+    box.id = 'screenshot-timestamp-overlay';
+    // textContent keeps URLs and labels from being parsed as HTML
+    box.textContent = overlayLines.join('\n');
+    box.style.cssText = `
+      position: fixed;
+      padding: 15px 20px;
+      border-radius: 8px;
+      font-weight: bold;
+      z-index: 999999;
+      box-shadow: 0 4px 15px rgba(0, 0, 0, 0.6);
+      border: 2px solid;
+      line-height: 1.5;
+      text-align: center;
+      white-space: pre;
+    `;
+    Object.assign(box.style, position, {
+      color: style.color,
+      background: style.background,
+      borderColor: style.borderColor,
+      fontFamily: style.fontFamily,
+      fontSize: `${style.fontSize}px`,
+      opacity: String(style.opacity),
+      zoom: String(scale)
+    });
+    document.body.appendChild(box);
+  }, { overlayLines: lines, position, style: overlay.style, scale });
+}
@@ -0,0 +1,132 @@
+/**
+ * PNG text metadata
+ *
+ * Reads and writes text chunks so captures can carry their own timestamps
+ * without any image library: tEXt for Latin-1 values, iTXt (UTF-8) for
+ * anything else.
+ */
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Whether a buffer holds a PNG image
+ */
+export function isPng(buffer) {
+  return buffer.length > PNG_SIGNATURE.length && buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE);
+}
+
+/**
+ * Split a PNG into its chunks: [{ type, data }]
+ */
+function readChunks(buffer) {
+  if (!isPng(buffer)) {
+    throw new Error('Not a PNG image');
+  }
+
+  const chunks = [];
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    chunks.push({ type, data: buffer.subarray(offset + 8, offset + 8 + length) });
+    offset += 12 + length;
+    if (type === 'IEND') {
+      break;
+    }
+  }
+  return chunks;
+}
+
+function encodeChunk(type, data) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(data.length, 0);
+  header.write(type, 4, 'latin1');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([header.subarray(4), data])), 0);
+  return Buffer.concat([header, data, crc]);
+}
+
+/**
+ * Pixel size of a PNG, from its IHDR chunk
+ */
+export function pngSize(buffer) {
+  const [header] = readChunks(buffer);
+  return { width: header.data.readUInt32BE(0), height: header.data.readUInt32BE(4) };
+}
+
+/**
+ * Encode one keyword/value pair as a tEXt chunk, or iTXt if the value is not Latin-1
+ */
+function textChunk(keyword, value) {
+  const key = Buffer.from(keyword, 'latin1');
+  if (/^[\u0000-\u00ff]*$/.test(value)) {
+    return { type: 'tEXt', data: Buffer.concat([key, Buffer.from([0]), Buffer.from(value, 'latin1')]) };
+  }
+  // keyword, NUL, uncompressed, method 0, empty language tag and translated keyword, UTF-8 text
+  return { type: 'iTXt', data: Buffer.concat([key, Buffer.from([0, 0, 0, 0, 0]), Buffer.from(value, 'utf8')]) };
+}
+
+/**
+ * Keyword of a tEXt/iTXt chunk, or null for other chunks
+ */
+function chunkKeyword(chunk) {
+  if (chunk.type !== 'tEXt' && chunk.type !== 'iTXt') {
+    return null;
+  }
+  return chunk.data.toString('latin1', 0, chunk.data.indexOf(0));
+}
+
+/**
+ * Return a copy of the PNG with text chunks for the given { keyword: value } entries
+ * (inserted right after IHDR so readers find them before the image data).
+ * Existing chunks with the same keywords are replaced.
+ */
+export function addPngText(buffer, entries) {
+  const keywords = Object.keys(entries);
+  const chunks = readChunks(buffer).filter(chunk => !keywords.includes(chunkKeyword(chunk)));
+  const text = Object.entries(entries)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([keyword, value]) => textChunk(keyword, String(value)));
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    ...[chunks[0], ...text, ...chunks.slice(1)].map(chunk => encodeChunk(chunk.type, chunk.data))
+  ]);
+}
+
+/**
+ * Read all tEXt and uncompressed iTXt entries of a PNG as { keyword: value }
+ */
+export function readPngText(buffer) {
+  const entries = {};
+  for (const chunk of readChunks(buffer)) {
+    const separator = chunk.data.indexOf(0);
+    const keyword = chunk.data.toString('latin1', 0, separator);
+
+    if (chunk.type === 'tEXt') {
+      entries[keyword] = chunk.data.toString('latin1', separator + 1);
+    } else if (chunk.type === 'iTXt' && chunk.data[separator + 1] === 0) {
+      // Skip the compression fields, language tag and translated keyword
+      const languageEnd = chunk.data.indexOf(0, separator + 3);
+      const translatedEnd = chunk.data.indexOf(0, languageEnd + 1);
+      entries[keyword] = chunk.data.toString('utf8', translatedEnd + 1);
+    }
+  }
+  return entries;
+}
@@ -0,0 +1,262 @@
+/**
+ * Credential profiles
+ *
+ * A profile is a named set of credentials a job can capture with:
+ *
+ *   {
+ *     "cookies": [{ "name": "session", "value": "...", "domain": ".example.com", "path": "/" }],
+ *     "headers": { "Authorization": "Bearer ..." },
+ *     "httpCredentials": { "username": "...", "password": "..." },
+ *     "login": { "url": "https://example.com/login", "steps": [...] },
+ *     "cleanup": { "hide": ["#chat-widget"], "disableAnimations": true }
+ *   }
+ *
+ * plus an optional Playwright storageState, uploaded directly or refreshed by
+ * running the profile's scripted login flow. Headers and HTTP auth are only
+ * sent to the origin of the page being captured (or logged into), never to
+ * the third parties it loads. Profiles live in PROFILES_PATH
+ * (default ~/.screenshot-scheduler/profiles), never under public/, as
+ * <name>.json and <name>.state.json, readable by the owner only.
+ */
+
+import { chromium } from 'playwright';
+import { join } from 'path';
+import fs from 'fs';
+import { resolveSteps, runSteps } from './steps.js';
+import { parseCleanup } from './cleanup.js';
+
+export const defaultProfilesPath = process.env.PROFILES_PATH ||
+  join(process.env.HOME || '/tmp', '.screenshot-scheduler', 'profiles');
+
+const PROFILE_NAME = /^[a-z0-9_-]{1,64}$/i;
+
+function check(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Whether a string is a valid profile name (safe to use in a path)
+ */
+export function isValidProfileName(name) {
+  return typeof name === 'string' && PROFILE_NAME.test(name);
+}
+
+function profileFile(profilesPath, name) {
+  return join(profilesPath, `${name}.json`);
+}
+
+/**
+ * Path of a profile's storageState file
+ */
+export function storageStatePath(profilesPath, name) {
+  return join(profilesPath, `${name}.state.json`);
+}
+
+/**
+ * Write a file only the owner can read
+ */
+function writePrivateFile(filepath, contents) {
+  fs.writeFileSync(filepath, contents, { mode: 0o600 });
+  fs.chmodSync(filepath, 0o600);
+}
+
+/**
+ * Validate a profile definition, throwing on anything invalid
+ */
+export function parseProfile(body) {
+  check(isPlainObject(body), 'profile must be an object');
+  const profile = {};
+
+  if (body.cookies !== undefined) {
+    check(Array.isArray(body.cookies), 'cookies must be a list');
+    body.cookies.forEach((cookie, index) => {
+      check(
+        isPlainObject(cookie) && typeof cookie.name === 'string' && typeof cookie.value === 'string' &&
+          (typeof cookie.url === 'string' || (typeof cookie.domain === 'string' && typeof cookie.path === 'string')),
+        `cookies[${index}] needs name, value and either url or domain + path`
+      );
+    });
+    profile.cookies = body.cookies;
+  }
+
+  if (body.headers !== undefined) {
+    check(isPlainObject(body.headers) && Object.values(body.headers).every(value => typeof value === 'string'), 'headers must map header names to strings');
+    profile.headers = body.headers;
+  }
+
+  if (body.httpCredentials !== undefined) {
+    const { username, password } = body.httpCredentials || {};
+    check(typeof username === 'string' && typeof password === 'string', 'httpCredentials must be { username, password }');
+    profile.httpCredentials = { username, password };
+  }
+
+  if (body.login !== undefined) {
+    check(isPlainObject(body.login), 'login must be { url, steps }');
+    let url;
+    try {
+      url = new URL(body.login.url);
+    } catch (error) {
+      url = null;
+    }
+    check(url && ['http:', 'https:'].includes(url.protocol), 'login.url must be an http(s) URL');
+    check(Array.isArray(body.login.steps) && body.login.steps.length > 0, 'login.steps must be a list of steps');
+    resolveSteps(body.login.steps);
+    profile.login = { url: url.href, steps: body.login.steps };
+  }
+
+  if (body.cleanup !== undefined) {
+    // Page cleanup for every capture with this profile (see lib/cleanup.js)
+    profile.cleanup = parseCleanup(body.cleanup, 'cleanup');
+  }
+
+  return profile;
+}
+
+/**
+ * Load a profile by name, throwing if it does not exist
+ */
+export function loadProfile(profilesPath, name) {
+  check(isValidProfileName(name), `Invalid profile name "${name}"`);
+
+  const file = profileFile(profilesPath, name);
+  check(fs.existsSync(file), `Profile "${name}" not found`);
+
+  const profile = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const statePath = storageStatePath(profilesPath, name);
+  return { ...profile, name, storageState: fs.existsSync(statePath) ? statePath : null };
+}
+
+/**
+ * Create or replace a profile (its storageState is kept)
+ */
+export function saveProfile(profilesPath, name, body) {
+  check(isValidProfileName(name), 'profile name must be 1-64 letters, digits, - or _');
+  const profile = parseProfile(body);
+
+  fs.mkdirSync(profilesPath, { recursive: true, mode: 0o700 });
+  writePrivateFile(profileFile(profilesPath, name), JSON.stringify(profile, null, 2));
+  return loadProfile(profilesPath, name);
+}
+
+/**
+ * Delete a profile and its storageState; returns false if it did not exist
+ */
+export function deleteProfile(profilesPath, name) {
+  if (!isValidProfileName(name) || !fs.existsSync(profileFile(profilesPath, name))) {
+    return false;
+  }
+
+  fs.rmSync(profileFile(profilesPath, name), { force: true });
+  fs.rmSync(storageStatePath(profilesPath, name), { force: true });
+  return true;
+}
+
+/**
+ * Store a Playwright storageState ({ cookies, origins }) for a profile
+ */
+export function saveStorageState(profilesPath, name, state) {
+  loadProfile(profilesPath, name);
+  check(isPlainObject(state) && Array.isArray(state.cookies) && Array.isArray(state.origins || []), 'storageState must be { cookies, origins }');
+  writePrivateFile(storageStatePath(profilesPath, name), JSON.stringify(state, null, 2));
+}
+
+/**
+ * All profiles, without their secrets
+ */
+export function listProfiles(profilesPath) {
+  if (!fs.existsSync(profilesPath)) {
+    return [];
+  }
+
+  return fs.readdirSync(profilesPath)
+    .filter(file => file.endsWith('.json') && !file.endsWith('.state.json'))
+    .map(file => file.slice(0, -'.json'.length))
+    .filter(isValidProfileName)
+    .map(name => describeProfile(loadProfile(profilesPath, name)));
+}
+
+/**
+ * Summary of a profile that is safe to return through the API
+ */
+export function describeProfile(profile) {
+  const statePath = profile.storageState;
+  return {
+    name: profile.name,
+    cookies: (profile.cookies || []).map(cookie => ({ name: cookie.name, domain: cookie.domain || cookie.url })),
+    headers: Object.keys(profile.headers || {}),
+    httpAuth: profile.httpCredentials ? profile.httpCredentials.username : null,
+    login: profile.login ? profile.login.url : null,
+    cleanup: profile.cleanup || null,
+    storageState: statePath ? fs.statSync(statePath).mtime.toISOString() : null
+  };
+}
+
+/**
+ * Browser context options for a profile, with HTTP auth limited to origin
+ * (cookies and headers are added separately)
+ */
+export function profileContextOptions(profile, origin) {
+  const options = {};
+  if (profile.storageState) {
+    options.storageState = profile.storageState;
+  }
+  if (profile.httpCredentials) {
+    options.httpCredentials = { ...profile.httpCredentials, origin };
+  }
+  return options;
+}
+
+/**
+ * Apply a profile to a new context: cookies on top of its storageState, and
+ * headers on requests to origin only
+ */
+export async function applyProfileCookies(context, profile, origin) {
+  if (profile.cookies && profile.cookies.length > 0) {
+    await context.addCookies(profile.cookies);
+  }
+
+  const headers = Object.fromEntries(Object.entries(profile.headers || {}).map(([name, value]) => [name.toLowerCase(), value]));
+  if (Object.keys(headers).length > 0) {
+    await context.route(url => url.origin === origin, (route, request) => route.continue({ headers: { ...request.headers(), ...headers } }));
+  }
+}
+
+/**
+ * Run a profile's scripted login flow and save the resulting storageState
+ */
+export async function refreshStorageState(profilesPath, name, log = console.log) {
+  const profile = loadProfile(profilesPath, name);
+  check(profile.login, `Profile "${name}" has no login flow`);
+
+  let browser;
+  try {
+    browser = await chromium.launch({ headless: true });
+    // Start from a clean session, keeping headers, HTTP auth and fixed cookies
+    const origin = new URL(profile.login.url).origin;
+    const context = await browser.newContext(profileContextOptions({ ...profile, storageState: null }, origin));
+    await applyProfileCookies(context, profile, origin);
+    const page = await context.newPage();
+
+    log(`Logging in for profile ${name} at ${profile.login.url}...`);
+    await page.goto(profile.login.url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+    await runSteps(page, profile.login.steps, log);
+
+    const state = await context.storageState();
+    writePrivateFile(storageStatePath(profilesPath, name), JSON.stringify(state, null, 2));
+    log(`✓ Saved storageState for profile ${name} (${state.cookies.length} cookies)`);
+
+    await browser.close();
+    return describeProfile(loadProfile(profilesPath, name));
+  } catch (error) {
+    if (browser) {
+      await browser.close();
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * Capture provenance
+ *
+ * Every saved image carries where and when it was captured:
+ *
+ *   sourceUrl, finalUrl (after redirects and steps), jobId, runId,
+ *   targetTime, captureTime (ms precision), driftMs (capture - target),
+ *   viewport (e.g. 1920x1080@2x) and software (name/version)
+ *
+ * PNG gets one text chunk per field, JPEG a COM segment holding JSON. WebP
+ * and PDF get a sidecar file next to the capture, <filename>.provenance.json.
+ */
+
+import fs from 'fs';
+import { addPngText, readPngText, isPng } from './png-metadata.js';
+
+const packageInfo = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+
+export const SOFTWARE = `${packageInfo.name}/${packageInfo.version}`;
+
+// PNG text keyword for each field
+const PNG_KEYWORDS = {
+  sourceUrl: 'Source URL',
+  finalUrl: 'Final URL',
+  jobId: 'Job ID',
+  runId: 'Run ID',
+  targetTime: 'Target Time',
+  captureTime: 'Capture Time',
+  driftMs: 'Drift ms',
+  viewport: 'Viewport',
+  software: 'Software'
+};
+
+const JPEG_COMMENT_PREFIX = 'screenshot-scheduler provenance ';
+const SIDECAR_SUFFIX = '.provenance.json';
+
+/**
+ * Provenance for one captured file
+ */
+export function buildProvenance({ sourceUrl, finalUrl, jobId, runId, targetTime, captureTime, viewport, deviceScaleFactor }) {
+  return {
+    sourceUrl,
+    finalUrl: finalUrl || sourceUrl,
+    jobId: jobId || null,
+    runId,
+    targetTime: targetTime ? targetTime.toISOString() : null,
+    captureTime: captureTime.toISOString(),
+    driftMs: targetTime ? captureTime.getTime() - targetTime.getTime() : null,
+    viewport: `${viewport.width}x${viewport.height}@${deviceScaleFactor}x`,
+    software: SOFTWARE
+  };
+}
+
+/**
+ * Path of the sidecar file for formats that cannot embed metadata
+ */
+export function sidecarPath(filepath) {
+  return `${filepath}${SIDECAR_SUFFIX}`;
+}
+
+/**
+ * Insert a COM segment right after the JPEG's SOI marker (and JFIF header, if any)
+ */
+function addJpegComment(buffer, text) {
+  let offset = 2;
+  // Keep APP0 (JFIF) first, as some readers expect
+  if (buffer[offset] === 0xff && buffer[offset + 1] === 0xe0) {
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+
+  const body = Buffer.from(text, 'utf8');
+  if (body.length > 65533) {
+    throw new Error('Provenance is too large for a JPEG comment');
+  }
+  const header = Buffer.from([0xff, 0xfe, 0, 0]);
+  header.writeUInt16BE(body.length + 2, 2);
+  return Buffer.concat([buffer.subarray(0, offset), header, body, buffer.subarray(offset)]);
+}
+
+/**
+ * Read all COM segments of a JPEG (up to the image data)
+ */
+function readJpegComments(buffer) {
+  const comments = [];
+  let offset = 2;
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1];
+    // Start of scan: the compressed image data follows
+    if (marker === 0xda) {
+      break;
+    }
+    const length = buffer.readUInt16BE(offset + 2);
+    if (marker === 0xfe) {
+      comments.push(buffer.toString('utf8', offset + 4, offset + 2 + length));
+    }
+    offset += 2 + length;
+  }
+  return comments;
+}
+
+/**
+ * Write provenance into a saved capture; returns where it went:
+ * 'png-text', 'jpeg-comment' or 'sidecar'
+ */
+export function embedProvenance(filepath, format, provenance) {
+  if (format === 'png') {
+    const entries = Object.fromEntries(
+      Object.entries(PNG_KEYWORDS).map(([field, keyword]) => [keyword, provenance[field]])
+    );
+    fs.writeFileSync(filepath, addPngText(fs.readFileSync(filepath), entries));
+    return 'png-text';
+  }
+
+  if (format === 'jpeg') {
+    const comment = JPEG_COMMENT_PREFIX + JSON.stringify(provenance);
+    fs.writeFileSync(filepath, addJpegComment(fs.readFileSync(filepath), comment));
+    return 'jpeg-comment';
+  }
+
+  fs.writeFileSync(sidecarPath(filepath), JSON.stringify(provenance, null, 2));
+  return 'sidecar';
+}
+
+/**
+ * Read provenance back from a capture: { source, provenance } or null if it has none
+ */
+export function readProvenance(filepath) {
+  const sidecar = sidecarPath(filepath);
+  if (fs.existsSync(sidecar)) {
+    return { source: 'sidecar', provenance: JSON.parse(fs.readFileSync(sidecar, 'utf8')) };
+  }
+
+  const buffer = fs.readFileSync(filepath);
+
+  if (isPng(buffer)) {
+    const text = readPngText(buffer);
+    if (!text[PNG_KEYWORDS.captureTime] || !text[PNG_KEYWORDS.software]) {
+      return null;
+    }
+
+    const provenance = {};
+    for (const [field, keyword] of Object.entries(PNG_KEYWORDS)) {
+      provenance[field] = text[keyword] === undefined ? null : text[keyword];
+    }
+    provenance.driftMs = provenance.driftMs === null ? null : Number(provenance.driftMs);
+    return { source: 'png-text', provenance };
+  }
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    const comment = readJpegComments(buffer).find(text => text.startsWith(JPEG_COMMENT_PREFIX));
+    return comment
+      ? { source: 'jpeg-comment', provenance: JSON.parse(comment.slice(JPEG_COMMENT_PREFIX.length)) }
+      : null;
+  }
+
+  return null;
+}
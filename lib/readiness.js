@@ -0,0 +1,284 @@
+/**
+ * Readiness gates
+ *
+ * Conditions the page must meet before it is prepared or captured, used
+ * instead of fixed sleeps. A job's ready option lists gates such as:
+ *
+ *   { "type": "selector", "selector": "#price-table", "state": "visible" }
+ *   { "type": "text", "text": "Upbit KRW", "selector": "header" }
+ *   { "type": "networkIdle", "idleMs": 500 }
+ *   { "type": "predicate", "script": "window.prices && window.prices.length > 0" }
+ *   { "type": "domQuiet", "quietMs": 500, "selector": "main" }
+ *
+ * Every gate may also have:
+ *
+ *   label     - description used in logs
+ *   stage     - 'load' (right after navigation, the default) or 'capture'
+ *               (after the steps, cleanup and scrolling, just before capture)
+ *   timeout   - how long to wait in ms (default 10000)
+ *   onFailure - 'continue' (log it and go on, the default), 'fail' (abort
+ *               the capture) or 'reload' (load stage only: reload the page
+ *               and wait once more, then abort if it still fails)
+ *
+ * Gates of a stage replace that stage's fixed wait: settleDelay after
+ * navigation and the pause after scrolling.
+ */
+
+export const GATE_TYPES = ['selector', 'text', 'networkIdle', 'predicate', 'domQuiet'];
+export const GATE_STAGES = ['load', 'capture'];
+export const FAILURE_POLICIES = ['continue', 'fail', 'reload'];
+
+const DEFAULT_GATE_TIMEOUT = 10000;
+const DEFAULT_QUIET_MS = 500;
+const MAX_GATES = 20;
+
+function check(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+function isDuration(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 120000;
+}
+
+/**
+ * Validate the type-specific fields of a gate (shared with the waitFor* steps)
+ */
+export function validateGateFields(gate, prefix) {
+  switch (gate.type) {
+    case 'selector':
+      check(isNonEmptyString(gate.selector), `${prefix}selector is required`);
+      check(
+        gate.state === undefined || ['attached', 'detached', 'visible', 'hidden'].includes(gate.state),
+        `${prefix}state must be attached, detached, visible or hidden`
+      );
+      break;
+    case 'text':
+      check(isNonEmptyString(gate.text), `${prefix}text is required`);
+      check(gate.selector === undefined || isNonEmptyString(gate.selector), `${prefix}selector must be a CSS selector`);
+      check(gate.exact === undefined || typeof gate.exact === 'boolean', `${prefix}exact must be a boolean`);
+      break;
+    case 'networkIdle':
+      check(gate.idleMs === undefined || isDuration(gate.idleMs), `${prefix}idleMs must be between 0 and 120000 ms`);
+      break;
+    case 'predicate':
+      check(isNonEmptyString(gate.script), `${prefix}script is required`);
+      check(gate.pollMs === undefined || (Number.isInteger(gate.pollMs) && gate.pollMs >= 10), `${prefix}pollMs must be at least 10 ms`);
+      break;
+    case 'domQuiet':
+      check(gate.quietMs === undefined || isDuration(gate.quietMs), `${prefix}quietMs must be between 0 and 120000 ms`);
+      check(gate.selector === undefined || isNonEmptyString(gate.selector), `${prefix}selector must be a CSS selector`);
+      break;
+    default:
+      check(false, `${prefix}type must be one of: ${GATE_TYPES.join(', ')}`);
+  }
+}
+
+/**
+ * Validate a list of readiness gates, throwing on anything invalid
+ */
+export function parseReadiness(gates, field = 'ready') {
+  check(Array.isArray(gates) && gates.length <= MAX_GATES, `${field} must be a list of at most ${MAX_GATES} gates`);
+
+  return gates.map((gate, index) => {
+    const prefix = `${field}[${index}].`;
+    check(gate && typeof gate === 'object' && !Array.isArray(gate), `${field}[${index}] must be an object`);
+    validateGateFields(gate, prefix);
+
+    check(gate.label === undefined || typeof gate.label === 'string', `${prefix}label must be a string`);
+    check(gate.stage === undefined || GATE_STAGES.includes(gate.stage), `${prefix}stage must be one of: ${GATE_STAGES.join(', ')}`);
+    check(gate.timeout === undefined || isDuration(gate.timeout), `${prefix}timeout must be between 0 and 120000 ms`);
+    check(
+      gate.onFailure === undefined || FAILURE_POLICIES.includes(gate.onFailure),
+      `${prefix}onFailure must be one of: ${FAILURE_POLICIES.join(', ')}`
+    );
+    check(
+      gate.onFailure !== 'reload' || (gate.stage || 'load') === 'load',
+      `${prefix}onFailure reload is only supported for load-stage gates`
+    );
+    return gate;
+  });
+}
+
+/**
+ * Gates that run at a stage
+ */
+export function gatesForStage(gates, stage) {
+  return (gates || []).filter(gate => (gate.stage || 'load') === stage);
+}
+
+/**
+ * Wait until no requests have been in flight for idleMs
+ *
+ * Counts requests from the moment it is called, unlike
+ * waitForLoadState('networkidle'), which only covers the initial load.
+ */
+function waitForNetworkIdle(page, idleMs, timeout) {
+  return new Promise((resolve, reject) => {
+    let inFlight = 0;
+    let idleTimer = null;
+
+    const cleanup = () => {
+      clearTimeout(idleTimer);
+      clearTimeout(deadline);
+      page.off('request', onRequest);
+      page.off('requestfinished', onDone);
+      page.off('requestfailed', onDone);
+    };
+    const armIdle = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => {
+        cleanup();
+        resolve();
+      }, idleMs);
+    };
+    const onRequest = () => {
+      inFlight++;
+      clearTimeout(idleTimer);
+    };
+    const onDone = () => {
+      inFlight = Math.max(0, inFlight - 1);
+      if (inFlight === 0) {
+        armIdle();
+      }
+    };
+    const deadline = setTimeout(() => {
+      cleanup();
+      reject(new Error(`Network still busy (${inFlight} request(s) in flight) after ${timeout}ms`));
+    }, timeout);
+
+    page.on('request', onRequest);
+    page.on('requestfinished', onDone);
+    page.on('requestfailed', onDone);
+    armIdle();
+  });
+}
+
+/**
+ * Wait until the DOM (or the selector's element) has not changed for quietMs
+ */
+function waitForDomQuiet(page, { quietMs, selector }, timeout) {
+  return page.evaluate(({ quietMs, selector, timeout }) => new Promise((resolve, reject) => {
+    const root = selector ? document.querySelector(selector) : document;
+    if (!root) {
+      reject(new Error(`No element matched ${selector}`));
+      return;
+    }
+
+    let quietTimer;
+    const observer = new MutationObserver(() => {
+      clearTimeout(quietTimer);
+      quietTimer = setTimeout(done, quietMs);
+    });
+    const deadline = setTimeout(() => {
+      observer.disconnect();
+      clearTimeout(quietTimer);
+      reject(new Error(`DOM still changing after ${timeout}ms`));
+    }, timeout);
+
+    function done() {
+      observer.disconnect();
+      clearTimeout(deadline);
+      resolve();
+    }
+
+    observer.observe(root, { subtree: true, childList: true, attributes: true, characterData: true });
+    quietTimer = setTimeout(done, quietMs);
+  }), { quietMs, selector: selector || null, timeout });
+}
+
+/**
+ * Wait for one gate, throwing if it is not met within timeout
+ */
+export async function waitForGate(page, gate, timeout = gate.timeout ?? DEFAULT_GATE_TIMEOUT) {
+  switch (gate.type) {
+    case 'selector':
+      await page.locator(gate.selector).first().waitFor({ state: gate.state || 'visible', timeout });
+      break;
+
+    case 'text': {
+      const scope = gate.selector ? page.locator(gate.selector) : page;
+      await scope.getByText(gate.text, { exact: gate.exact }).first().waitFor({ state: 'visible', timeout });
+      break;
+    }
+
+    case 'networkIdle':
+      await waitForNetworkIdle(page, gate.idleMs ?? DEFAULT_QUIET_MS, timeout);
+      break;
+
+    case 'predicate':
+      await page.waitForFunction(gate.script, null, { timeout, polling: gate.pollMs || 'raf' });
+      break;
+
+    case 'domQuiet':
+      await waitForDomQuiet(page, { quietMs: gate.quietMs ?? DEFAULT_QUIET_MS, selector: gate.selector }, timeout);
+      break;
+
+    default:
+      throw new Error(`Unknown gate type "${gate.type}"`);
+  }
+}
+
+function describeGate(gate) {
+  if (gate.label) {
+    return gate.label;
+  }
+  const detail = gate.selector || gate.text || gate.script;
+  return detail ? `${gate.type} ${detail}` : gate.type;
+}
+
+/**
+ * Wait for every gate of a stage, in order
+ *
+ * Returns one { type, label, stage, status, durationMs, attempts, error }
+ * entry per gate, where status is 'ok' or 'failed'. Throws when a gate
+ * with onFailure 'fail' (or 'reload', after the reload) is not met.
+ */
+export async function waitForReadiness(page, gates, stage, log = console.log) {
+  const results = [];
+
+  for (const gate of gatesForStage(gates, stage)) {
+    const name = `Ready: ${describeGate(gate)}`;
+    const policy = gate.onFailure || 'continue';
+    const result = { type: gate.type, label: gate.label || null, stage, status: 'ok', durationMs: 0, attempts: 1, error: null };
+    results.push(result);
+
+    const startedAt = Date.now();
+    try {
+      await waitForGate(page, gate);
+      log(`✓ ${name} (${Date.now() - startedAt}ms)`);
+    } catch (error) {
+      if (policy === 'reload') {
+        log(`${name} not met (${error.message}); reloading the page`);
+        result.attempts = 2;
+        try {
+          await page.reload({ waitUntil: 'domcontentloaded', timeout: 60000 });
+          await waitForGate(page, gate);
+          log(`✓ ${name} after reload`);
+        } catch (retryError) {
+          result.status = 'failed';
+          result.error = retryError.message;
+        }
+      } else {
+        result.status = 'failed';
+        result.error = error.message;
+      }
+
+      if (result.status === 'failed') {
+        result.durationMs = Date.now() - startedAt;
+        if (policy !== 'continue') {
+          throw new Error(`${name} failed: ${result.error}`);
+        }
+        log(`⚠ ${name} not met, continuing: ${result.error}`);
+      }
+    }
+    result.durationMs = Date.now() - startedAt;
+  }
+
+  return results;
+}
@@ -0,0 +1,129 @@
+/**
+ * Recurring schedules
+ *
+ * A job's recurring option repeats it on a cron expression or a preset,
+ * always in an explicit timezone:
+ *
+ *   { "cron": "0 0 9 * * 1-5", "timezone": "Asia/Seoul" }           // seconds field optional
+ *   { "preset": "daily", "time": "09:00:00", "timezone": "Asia/Seoul" }
+ *   { "preset": "weekdays", "time": "09:00:00", "timezone": "Asia/Seoul" }
+ *   { "preset": "hourly", "minute": 30, "second": 0, "timezone": "UTC" }
+ *
+ * true repeats the job daily at its datetime. Presets are turned into cron
+ * expressions, so every recurrence is { preset, time, minute, second, cron,
+ * timezone } once parsed. Occurrences must be at least a minute apart.
+ */
+
+import cronParser from 'cron-parser';
+import { isValidTimezone } from './emulation.js';
+
+export const RECURRENCE_PRESETS = ['daily', 'weekdays', 'hourly'];
+
+const MIN_INTERVAL_MS = 60000;
+const TIME = /^([01]\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?$/;
+
+function check(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function isClockValue(value, max) {
+  return Number.isInteger(value) && value >= 0 && value <= max;
+}
+
+/**
+ * Cron expression for a preset
+ */
+function presetCron(recurring) {
+  if (recurring.preset === 'hourly') {
+    const minute = recurring.minute ?? 0;
+    const second = recurring.second ?? 0;
+    check(isClockValue(minute, 59), 'recurring.minute must be 0-59');
+    check(isClockValue(second, 59), 'recurring.second must be 0-59');
+    return { cron: `${second} ${minute} * * * *`, minute, second };
+  }
+
+  const match = typeof recurring.time === 'string' && recurring.time.match(TIME);
+  check(match, `recurring.time must be HH:MM or HH:MM:SS for the ${recurring.preset} preset`);
+  const [, hour, minute, second = '00'] = match;
+  const days = recurring.preset === 'weekdays' ? '1-5' : '*';
+  return { cron: `${Number(second)} ${Number(minute)} ${Number(hour)} * * ${days}`, time: `${hour}:${minute}:${second}` };
+}
+
+/**
+ * Validate a job's recurring option, throwing on anything invalid
+ *
+ * Returns false for a one-off job, else the parsed recurrence.
+ * datetime is needed for recurring: true.
+ */
+export function parseRecurrence(recurring, datetime = null) {
+  if (recurring === undefined || recurring === null || recurring === false) {
+    return false;
+  }
+
+  if (recurring === true) {
+    const date = new Date(datetime);
+    check(datetime && !isNaN(date.getTime()), 'recurring: true needs a datetime to repeat daily');
+    recurring = { preset: 'daily', time: date.toISOString().slice(11, 19), timezone: 'UTC' };
+  }
+
+  check(typeof recurring === 'object' && !Array.isArray(recurring), 'recurring must be false, true or { cron | preset, timezone }');
+  check(typeof recurring.timezone === 'string' && isValidTimezone(recurring.timezone), 'recurring.timezone must be an IANA timezone, e.g. Asia/Seoul');
+  const hasPreset = recurring.preset !== undefined && recurring.preset !== null;
+  check((recurring.cron === undefined) === hasPreset, 'recurring needs either cron or preset');
+
+  let parsed;
+  if (hasPreset) {
+    check(RECURRENCE_PRESETS.includes(recurring.preset), `recurring.preset must be one of: ${RECURRENCE_PRESETS.join(', ')}`);
+    parsed = { preset: recurring.preset, ...presetCron(recurring) };
+  } else {
+    check(typeof recurring.cron === 'string' && recurring.cron.trim().length > 0, 'recurring.cron must be a cron expression');
+    parsed = { preset: null, cron: recurring.cron.trim() };
+  }
+  parsed.timezone = recurring.timezone;
+
+  let first;
+  let second;
+  try {
+    [first, second] = nextOccurrences(parsed, new Date(), 2);
+  } catch (error) {
+    throw new Error(`recurring.cron "${parsed.cron}" is invalid: ${error.message}`);
+  }
+  check(first, `recurring.cron "${parsed.cron}" never fires`);
+  check(!second || second - first >= MIN_INTERVAL_MS, 'recurring occurrences must be at least a minute apart');
+
+  return parsed;
+}
+
+/**
+ * The next count occurrences strictly after a date (fewer if the schedule ends)
+ */
+export function nextOccurrences(recurrence, after, count) {
+  const interval = cronParser.parseExpression(recurrence.cron, { currentDate: after, tz: recurrence.timezone });
+  const dates = [];
+  while (dates.length < count && interval.hasNext()) {
+    dates.push(interval.next().toDate());
+  }
+  return dates;
+}
+
+/**
+ * The first occurrence strictly after a date, or null if there is none
+ */
+export function nextOccurrence(recurrence, after) {
+  return nextOccurrences(recurrence, after, 1)[0] || null;
+}
+
+/**
+ * Short description of a recurrence, e.g. "weekdays at 09:00:00 (Asia/Seoul)"
+ */
+export function describeRecurrence(recurrence) {
+  if (recurrence.preset === 'hourly') {
+    return `hourly at :${String(recurrence.minute).padStart(2, '0')}:${String(recurrence.second).padStart(2, '0')} (${recurrence.timezone})`;
+  }
+  if (recurrence.preset) {
+    return `${recurrence.preset} at ${recurrence.time} (${recurrence.timezone})`;
+  }
+  return `cron ${recurrence.cron} (${recurrence.timezone})`;
+}
@@ -0,0 +1,99 @@
+/**
+ * Retry policy for scheduled captures
+ *
+ * A job's retry option decides whether a failed capture is tried again:
+ *
+ *   {
+ *     "attempts": 3,          // tries in total, including the first
+ *     "backoffMs": 2000,      // pause before the first retry
+ *     "backoffFactor": 2,     // each further pause is this much longer
+ *     "maxBackoffMs": 30000,
+ *     "lateWindowMs": 60000   // no retry that would start more than this long after the target (null: no limit)
+ *   }
+ *
+ * A retry keeps the job's target time: if there is still time it captures
+ * at the target, otherwise as soon as the page is ready, and its drift shows
+ * how late it was.
+ */
+
+export const defaultRetry = {
+  attempts: 1,
+  backoffMs: 2000,
+  backoffFactor: 2,
+  maxBackoffMs: 30000,
+  lateWindowMs: 60000
+};
+
+const MAX_ATTEMPTS = 10;
+
+function check(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function isDuration(value, max) {
+  return Number.isInteger(value) && value >= 0 && value <= max;
+}
+
+/**
+ * Validate retry settings, throwing on anything invalid
+ */
+export function parseRetry(retry) {
+  check(retry && typeof retry === 'object' && !Array.isArray(retry), 'retry must be { attempts, backoffMs, backoffFactor, maxBackoffMs, lateWindowMs }');
+  const parsed = {};
+
+  if (retry.attempts !== undefined) {
+    check(Number.isInteger(retry.attempts) && retry.attempts >= 1 && retry.attempts <= MAX_ATTEMPTS, `retry.attempts must be 1-${MAX_ATTEMPTS}`);
+    parsed.attempts = retry.attempts;
+  }
+  for (const field of ['backoffMs', 'maxBackoffMs']) {
+    if (retry[field] !== undefined) {
+      check(isDuration(retry[field], 600000), `retry.${field} must be between 0 and 600000 ms`);
+      parsed[field] = retry[field];
+    }
+  }
+  if (retry.backoffFactor !== undefined) {
+    check(typeof retry.backoffFactor === 'number' && retry.backoffFactor >= 1 && retry.backoffFactor <= 10, 'retry.backoffFactor must be between 1 and 10');
+    parsed.backoffFactor = retry.backoffFactor;
+  }
+  if (retry.lateWindowMs !== undefined) {
+    check(retry.lateWindowMs === null || isDuration(retry.lateWindowMs, 86400000), 'retry.lateWindowMs must be null or between 0 and 86400000 ms');
+    parsed.lateWindowMs = retry.lateWindowMs;
+  }
+
+  return parsed;
+}
+
+/**
+ * Retry settings for a job, over the defaults
+ */
+export function resolveRetry(retry) {
+  return { ...defaultRetry, ...retry };
+}
+
+/**
+ * Pause before the given retry (retry 1 follows the first attempt)
+ */
+export function backoffDelay(policy, retryNumber) {
+  return Math.min(policy.maxBackoffMs, Math.round(policy.backoffMs * policy.backoffFactor ** (retryNumber - 1)));
+}
+
+/**
+ * Whether to try again after a failed attempt: { retry, delayMs, reason }
+ */
+export function retryDecision(policy, attempt, targetDate, now = new Date()) {
+  if (attempt >= policy.attempts) {
+    return { retry: false, delayMs: null, reason: `all ${policy.attempts} attempt(s) failed` };
+  }
+
+  const delayMs = backoffDelay(policy, attempt);
+  if (targetDate && policy.lateWindowMs !== null) {
+    const lateMs = now.getTime() + delayMs - targetDate.getTime();
+    if (lateMs > policy.lateWindowMs) {
+      return { retry: false, delayMs: null, reason: `a retry would start ${lateMs}ms after the target (window ${policy.lateWindowMs}ms)` };
+    }
+  }
+
+  return { retry: true, delayMs, reason: null };
+}
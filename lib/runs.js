@@ -0,0 +1,84 @@
+/**
+ * Run records
+ *
+ * Every capture is a run with its own directory under
+ * <screenshotPath>/runs/<runId>/ holding run.json (the capture result) and
+ * any archived artifacts (see lib/artifacts.js).
+ */
+
+import { join } from 'path';
+import fs from 'fs';
+
+const RUN_ID = /^run-[0-9T-]+Z-[a-z0-9]+$/;
+
+/**
+ * Generate a run id, e.g. run-2025-11-28T06-00-00-000Z-k3j9x2
+ */
+export function createRunId(time = new Date()) {
+  const timestamp = time.toISOString().replace(/[:.]/g, '-');
+  return `run-${timestamp}-${Math.random().toString(36).substr(2, 6)}`;
+}
+
+/**
+ * Whether a string is a well-formed run id (safe to use in a path)
+ */
+export function isValidRunId(runId) {
+  return RUN_ID.test(runId);
+}
+
+/**
+ * Directory holding everything that belongs to a run
+ */
+export function runDirectory(screenshotPath, runId) {
+  return join(screenshotPath, 'runs', runId);
+}
+
+/**
+ * Write (or replace) run.json for a run
+ */
+export function writeRunRecord(screenshotPath, record) {
+  const dir = runDirectory(screenshotPath, record.runId);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(join(dir, 'run.json'), JSON.stringify({ ...record, recordedAt: new Date().toISOString() }, null, 2));
+}
+
+/**
+ * Read a run record, or null if the run does not exist
+ */
+export function readRunRecord(screenshotPath, runId) {
+  if (!isValidRunId(runId)) {
+    return null;
+  }
+
+  const file = join(runDirectory(screenshotPath, runId), 'run.json');
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * All run records, newest first; with limit, only the most recent limit runs are read
+ */
+export function listRunRecords(screenshotPath, limit = Infinity) {
+  const runsPath = join(screenshotPath, 'runs');
+  if (!fs.existsSync(runsPath)) {
+    return [];
+  }
+
+  // Run ids start with their timestamp, so they sort by age without reading the records
+  return fs.readdirSync(runsPath)
+    .filter(isValidRunId)
+    .sort((a, b) => b.localeCompare(a))
+    .slice(0, limit)
+    .map(runId => {
+      try {
+        return readRunRecord(screenshotPath, runId);
+      } catch (error) {
+        // Half-written or corrupt record
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.runId.localeCompare(a.runId));
+}
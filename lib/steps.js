@@ -0,0 +1,349 @@
+/**
+ * Declarative page-preparation steps
+ *
+ * A preparation flow is a JSON array of steps run in order on the page
+ * before capture. Every step has an `action` plus these optional fields:
+ *
+ *   label      - description used in logs
+ *   optional   - when true a failure is logged and the flow continues;
+ *                otherwise the failure aborts the capture (default false)
+ *   timeout    - per-step timeout in ms (default 5000)
+ *   waitAfter  - pause in ms after the step succeeds
+ *   ifPrevious - only run if the previous step succeeded
+ *
+ * Actions:
+ *   { action: 'click', selector, force }          selector may be a list; the first match is clicked
+ *   { action: 'clickText', text, exact }
+ *   { action: 'select', selector, value | label }
+ *   { action: 'type', selector, text, delay }
+ *   { action: 'waitForSelector', selector, state }
+ *   { action: 'waitForText', text, selector, exact }
+ *   { action: 'waitForNetworkIdle', idleMs }
+ *   { action: 'waitForFunction', script, pollMs }
+ *   { action: 'waitForDomQuiet', quietMs, selector }
+ *   { action: 'wait', ms }
+ *   { action: 'scroll', x, y } | { action: 'scroll', viewports } | { action: 'scroll', selector }
+ *   { action: 'evaluate', script }
+ *
+ * The waitFor* actions wait for the readiness gate of the same name (see
+ * lib/readiness.js), so a flow can wait for the page instead of sleeping.
+ */
+
+import { validateGateFields, waitForGate } from './readiness.js';
+
+const DEFAULT_STEP_TIMEOUT = 5000;
+
+// Step actions that wait for a readiness gate, and the gate type each one uses
+const GATE_ACTIONS = {
+  waitForText: 'text',
+  waitForNetworkIdle: 'networkIdle',
+  waitForFunction: 'predicate',
+  waitForDomQuiet: 'domQuiet'
+};
+
+export const STEP_ACTIONS = ['click', 'clickText', 'select', 'type', 'waitForSelector', ...Object.keys(GATE_ACTIONS), 'wait', 'scroll', 'evaluate'];
+
+// Built-in preparation flows
+export const presets = {
+  none: [],
+
+  // kimpga.com: accept cookies, switch KR → EN, set Base Exchange to Upbit KRW
+  kimpga: [
+    {
+      action: 'click',
+      label: 'Accept cookie consent',
+      selector: 'button:has-text("Consent")',
+      force: true,
+      optional: true,
+      timeout: 5000,
+      waitAfter: 2000
+    },
+    {
+      action: 'click',
+      label: 'Open language dropdown',
+      selector: 'text=KR',
+      optional: true,
+      timeout: 2000,
+      waitAfter: 500
+    },
+    {
+      action: 'click',
+      label: 'Switch to English',
+      selector: 'text=EN',
+      optional: true,
+      ifPrevious: true,
+      timeout: 2000,
+      waitAfter: 1000
+    },
+    {
+      action: 'wait',
+      label: 'Let the page settle after the language change',
+      ms: 1500
+    },
+    {
+      action: 'click',
+      label: 'Open exchange dropdown',
+      selector: [
+        'text=Bithumb KRW',
+        'text=Upbit KRW',
+        'text=Coinone KRW',
+        'button:has-text("KRW")',
+        'div:has-text("KRW")'
+      ],
+      optional: true,
+      waitAfter: 1500
+    },
+    {
+      action: 'clickText',
+      label: 'Select Upbit KRW',
+      text: 'Upbit KRW',
+      optional: true,
+      ifPrevious: true,
+      timeout: 3000,
+      waitAfter: 1000
+    }
+  ]
+};
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+function isSelector(value) {
+  return isNonEmptyString(value) || (Array.isArray(value) && value.length > 0 && value.every(isNonEmptyString));
+}
+
+/**
+ * Check one step, returning an error message or null
+ */
+function validateStep(step) {
+  if (!step || typeof step !== 'object' || Array.isArray(step)) {
+    return 'must be an object';
+  }
+  if (!STEP_ACTIONS.includes(step.action)) {
+    return `action must be one of: ${STEP_ACTIONS.join(', ')}`;
+  }
+
+  for (const field of ['timeout', 'waitAfter']) {
+    if (step[field] !== undefined && !(Number.isInteger(step[field]) && step[field] >= 0 && step[field] <= 120000)) {
+      return `${field} must be between 0 and 120000 ms`;
+    }
+  }
+  for (const field of ['optional', 'ifPrevious', 'force', 'exact']) {
+    if (step[field] !== undefined && typeof step[field] !== 'boolean') {
+      return `${field} must be a boolean`;
+    }
+  }
+
+  if (GATE_ACTIONS[step.action]) {
+    try {
+      validateGateFields({ ...step, type: GATE_ACTIONS[step.action] }, '');
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  switch (step.action) {
+    case 'click':
+      return isSelector(step.selector) ? null : 'selector must be a string or a list of strings';
+    case 'clickText':
+      return isNonEmptyString(step.text) ? null : 'text is required';
+    case 'select':
+      if (!isNonEmptyString(step.selector)) {
+        return 'selector is required';
+      }
+      return isNonEmptyString(step.value) || isNonEmptyString(step.label) ? null : 'value or label is required';
+    case 'type':
+      if (!isNonEmptyString(step.selector)) {
+        return 'selector is required';
+      }
+      return typeof step.text === 'string' ? null : 'text is required';
+    case 'waitForSelector':
+      if (!isNonEmptyString(step.selector)) {
+        return 'selector is required';
+      }
+      if (step.state !== undefined && !['attached', 'detached', 'visible', 'hidden'].includes(step.state)) {
+        return 'state must be attached, detached, visible or hidden';
+      }
+      return null;
+    case 'wait':
+      return Number.isInteger(step.ms) && step.ms >= 0 && step.ms <= 120000 ? null : 'ms must be between 0 and 120000';
+    case 'scroll':
+      if (step.selector !== undefined) {
+        return isNonEmptyString(step.selector) ? null : 'selector must be a string';
+      }
+      if (step.viewports !== undefined) {
+        return typeof step.viewports === 'number' ? null : 'viewports must be a number';
+      }
+      return ['x', 'y'].every(axis => step[axis] === undefined || typeof step[axis] === 'number')
+        ? null
+        : 'x and y must be numbers';
+    case 'evaluate':
+      return isNonEmptyString(step.script) ? null : 'script is required';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Resolve a preset name or step list, throwing on anything invalid
+ */
+export function resolveSteps(steps) {
+  if (steps === undefined || steps === null) {
+    return [];
+  }
+
+  if (typeof steps === 'string') {
+    if (!presets[steps]) {
+      throw new Error(`Unknown steps preset "${steps}" (available: ${Object.keys(presets).join(', ')})`);
+    }
+    return presets[steps];
+  }
+
+  if (!Array.isArray(steps)) {
+    throw new Error('steps must be a preset name or a list of steps');
+  }
+
+  steps.forEach((step, index) => {
+    const problem = validateStep(step);
+    if (problem) {
+      throw new Error(`steps[${index}]: ${problem}`);
+    }
+  });
+
+  return steps;
+}
+
+/**
+ * Describe a step for log output
+ */
+function describeStep(step, index) {
+  return `Step ${index + 1} (${step.label || step.action})`;
+}
+
+/**
+ * Click the first selector in the list that is present on the page
+ */
+async function clickFirstMatch(page, selectors, step, timeout) {
+  for (const selector of selectors) {
+    const locator = page.locator(selector).first();
+    if (await locator.count() > 0) {
+      await locator.click({ force: step.force, timeout });
+      return;
+    }
+  }
+  throw new Error(`No element matched ${selectors.join(', ')}`);
+}
+
+/**
+ * Perform a single step on the page
+ */
+async function performStep(page, step) {
+  const timeout = step.timeout ?? DEFAULT_STEP_TIMEOUT;
+
+  if (GATE_ACTIONS[step.action]) {
+    await waitForGate(page, { ...step, type: GATE_ACTIONS[step.action] }, timeout);
+    return;
+  }
+
+  switch (step.action) {
+    case 'click':
+      if (Array.isArray(step.selector)) {
+        await clickFirstMatch(page, step.selector, step, timeout);
+      } else {
+        await page.locator(step.selector).first().click({ force: step.force, timeout });
+      }
+      break;
+
+    case 'clickText':
+      await page.getByText(step.text, { exact: step.exact }).first().click({ force: step.force, timeout });
+      break;
+
+    case 'select':
+      await page.locator(step.selector).first().selectOption(
+        step.value !== undefined ? { value: step.value } : { label: step.label },
+        { timeout }
+      );
+      break;
+
+    case 'type':
+      await page.locator(step.selector).first().pressSequentially(step.text, { delay: step.delay, timeout });
+      break;
+
+    case 'waitForSelector':
+      await page.locator(step.selector).first().waitFor({ state: step.state || 'visible', timeout });
+      break;
+
+    case 'wait':
+      await page.waitForTimeout(step.ms);
+      break;
+
+    case 'scroll':
+      if (step.selector) {
+        await page.locator(step.selector).first().scrollIntoViewIfNeeded({ timeout });
+      } else if (step.viewports !== undefined) {
+        await page.evaluate((viewports) => window.scrollBy(0, window.innerHeight * viewports), step.viewports);
+      } else {
+        await page.evaluate(({ x, y }) => window.scrollBy(x, y), { x: step.x || 0, y: step.y || 0 });
+      }
+      break;
+
+    case 'evaluate':
+      await Promise.race([
+        page.evaluate(step.script),
+        new Promise((resolve, reject) => setTimeout(() => reject(new Error(`Timed out after ${timeout}ms`)), timeout))
+      ]);
+      break;
+
+    default:
+      throw new Error(`Unknown action "${step.action}"`);
+  }
+}
+
+/**
+ * Run a preparation flow on the page
+ *
+ * Returns one { action, label, status, durationMs, error } entry per step,
+ * where status is 'ok', 'failed' or 'skipped'. Throws if a required step fails.
+ */
+export async function runSteps(page, steps, log = console.log) {
+  const results = [];
+  let previousOk = true;
+
+  for (const [index, step] of resolveSteps(steps).entries()) {
+    const name = describeStep(step, index);
+    const result = { action: step.action, label: step.label || null, status: 'ok', durationMs: 0, error: null };
+    results.push(result);
+
+    if (step.ifPrevious && !previousOk) {
+      result.status = 'skipped';
+      log(`${name} skipped (previous step did not succeed)`);
+      continue;
+    }
+
+    const startedAt = Date.now();
+    try {
+      await performStep(page, step);
+      result.durationMs = Date.now() - startedAt;
+      log(`✓ ${name}`);
+      previousOk = true;
+
+      if (step.waitAfter) {
+        await page.waitForTimeout(step.waitAfter);
+      }
+    } catch (error) {
+      result.durationMs = Date.now() - startedAt;
+      result.status = 'failed';
+      result.error = error.message;
+      previousOk = false;
+
+      if (!step.optional) {
+        throw new Error(`${name} failed: ${error.message}`);
+      }
+      log(`${name} failed, continuing: ${error.message}`);
+    }
+  }
+
+  return results;
+}
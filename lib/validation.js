@@ -0,0 +1,282 @@
+/**
+ * Post-capture validation
+ *
+ * Checks that a capture shows the page it should, so a 5xx page, a bot
+ * challenge or a blank screen does not count as a successful run. A job's
+ * validate option is true (the defaults), false, or settings such as:
+ *
+ *   {
+ *     "status": true,                   // main document status below 400, or a list of allowed codes
+ *     "challenge": true,                // fail on bot-check interstitials (Cloudflare "Just a moment..." etc.)
+ *     "blank": { "threshold": 0.99 },   // opt-in: fail when one colour covers this share of the image
+ *     "minBytes": 20000,                // fail on smaller files
+ *     "mustContain": ["Upbit KRW", { "selector": "#price-table" }],
+ *     "mustNotContain": ["Access denied"]
+ *   }
+ *
+ * Page checks run on every viewport's page right after capture; image checks
+ * on every saved image (PDFs only get the size check). The blank check is
+ * off by default: it decodes every saved image in the browser.
+ */
+
+import fs from 'fs';
+import { FORMATS } from './formats.js';
+
+export const defaultValidation = {
+  status: true,
+  challenge: true,
+  blank: false,
+  minBytes: null,
+  mustContain: [],
+  mustNotContain: []
+};
+
+// Signs of an interstitial bot check instead of the real page. Only whole-page
+// challenges count: captcha widgets embedded in a login or contact form
+// (reCAPTCHA, hCaptcha, Turnstile) are part of a normal page.
+const CHALLENGE_TITLES = /^(just a moment|attention required|please wait|checking your browser|ddos-guard)/i;
+const CHALLENGE_SELECTORS = [
+  '#challenge-form', // Cloudflare challenge page
+  '#challenge-running',
+  '#challenge-stage',
+  '#cf-challenge-running',
+  '#px-captcha' // PerimeterX block page
+];
+
+const BLANK_THRESHOLD = 0.99;
+
+const MAX_ASSERTIONS = 20;
+
+// Images are measured at this width at most
+const SAMPLE_WIDTH = 400;
+
+function check(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function parseAssertions(list, field) {
+  check(
+    Array.isArray(list) && list.length <= MAX_ASSERTIONS && list.every(item =>
+      (typeof item === 'string' && item.length > 0) ||
+        (item && typeof item === 'object' && typeof item.selector === 'string' && item.selector.length > 0)
+    ),
+    `${field} must be a list of at most ${MAX_ASSERTIONS} texts or { selector } objects`
+  );
+  return list;
+}
+
+/**
+ * Validate validation settings (true, false or an object), throwing on anything invalid
+ */
+export function parseValidation(validate) {
+  if (typeof validate === 'boolean') {
+    return validate;
+  }
+
+  check(validate && typeof validate === 'object' && !Array.isArray(validate), 'validate must be true, false or an object');
+  const parsed = {};
+
+  if (validate.status !== undefined) {
+    check(
+      typeof validate.status === 'boolean' ||
+        (Array.isArray(validate.status) && validate.status.length > 0 &&
+          validate.status.every(code => Number.isInteger(code) && code >= 100 && code <= 599)),
+      'validate.status must be true, false or a list of HTTP status codes'
+    );
+    parsed.status = validate.status;
+  }
+
+  if (validate.challenge !== undefined) {
+    check(typeof validate.challenge === 'boolean', 'validate.challenge must be a boolean');
+    parsed.challenge = validate.challenge;
+  }
+
+  if (validate.blank !== undefined) {
+    const { blank } = validate;
+    if (typeof blank !== 'boolean') {
+      check(
+        blank && typeof blank === 'object' && typeof blank.threshold === 'number' && blank.threshold > 0.5 && blank.threshold <= 1,
+        'validate.blank must be true, false or { threshold } between 0.5 and 1'
+      );
+    }
+    parsed.blank = blank;
+  }
+
+  if (validate.minBytes !== undefined && validate.minBytes !== null) {
+    check(Number.isInteger(validate.minBytes) && validate.minBytes > 0, 'validate.minBytes must be a positive integer');
+    parsed.minBytes = validate.minBytes;
+  }
+
+  for (const field of ['mustContain', 'mustNotContain']) {
+    if (validate[field] !== undefined) {
+      parsed[field] = parseAssertions(validate[field], `validate.${field}`);
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Validation settings for a capture, or null when validation is off
+ */
+export function resolveValidation(validate) {
+  if (validate === false || validate === null) {
+    return null;
+  }
+
+  const settings = validate === true || validate === undefined ? {} : validate;
+  const resolved = { ...defaultValidation, ...settings };
+  if (resolved.blank === true) {
+    resolved.blank = { threshold: BLANK_THRESHOLD };
+  }
+  return resolved;
+}
+
+function describeAssertion(item) {
+  return typeof item === 'string' ? `text "${item}"` : `element ${item.selector}`;
+}
+
+/**
+ * Whether the page shows a text or matches a { selector }
+ */
+async function pageContains(page, item) {
+  if (typeof item === 'string') {
+    return page.evaluate(text => document.body !== null && document.body.innerText.includes(text), item);
+  }
+  return await page.locator(item.selector).count() > 0;
+}
+
+/**
+ * Page checks for one viewport: status, challenge, mustContain, mustNotContain
+ */
+async function checkPage(page, response, validation, viewport) {
+  const checks = [];
+
+  if (validation.status && response) {
+    const ok = validation.status === true ? response.status < 400 : validation.status.includes(response.status);
+    checks.push({ check: 'status', viewport, ok, detail: `HTTP ${response.status} from ${response.url}` });
+  }
+
+  if (validation.challenge) {
+    const title = await page.title();
+    const matched = CHALLENGE_TITLES.test(title.trim())
+      ? `title "${title}"`
+      : await page.evaluate(selectors => selectors.find(selector => document.querySelector(selector)) || null, CHALLENGE_SELECTORS);
+    checks.push({ check: 'challenge', viewport, ok: !matched, detail: matched ? `bot check page (${matched})` : 'no bot check' });
+  }
+
+  for (const item of validation.mustContain) {
+    const ok = await pageContains(page, item);
+    checks.push({ check: 'mustContain', viewport, ok, detail: `${describeAssertion(item)} ${ok ? 'found' : 'missing'}` });
+  }
+
+  for (const item of validation.mustNotContain) {
+    const found = await pageContains(page, item);
+    checks.push({ check: 'mustNotContain', viewport, ok: !found, detail: `${describeAssertion(item)} ${found ? 'found' : 'absent'}` });
+  }
+
+  return checks;
+}
+
+/**
+ * Share of the image covered by its most common colour (0-1)
+ *
+ * The image is drawn into a canvas in a throwaway page of the capture's
+ * browser, so any format the browser can show works without an image library.
+ */
+export async function dominantColorShare(browser, buffer, mimeType) {
+  const page = await browser.newPage({ viewport: { width: SAMPLE_WIDTH, height: SAMPLE_WIDTH } });
+  try {
+    return await page.evaluate(async ({ src, sampleWidth }) => {
+      const image = new Image();
+      image.src = src;
+      await image.decode();
+
+      const scale = Math.min(1, sampleWidth / image.naturalWidth);
+      const width = Math.max(1, Math.round(image.naturalWidth * scale));
+      const height = Math.max(1, Math.round(image.naturalHeight * scale));
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const context = canvas.getContext('2d');
+      context.drawImage(image, 0, 0, width, height);
+
+      const { data } = context.getImageData(0, 0, width, height);
+      // Group nearly identical colours (5 bits per channel)
+      const counts = new Map();
+      let top = 0;
+      for (let i = 0; i < data.length; i += 4) {
+        const key = ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+        const count = (counts.get(key) || 0) + 1;
+        counts.set(key, count);
+        top = Math.max(top, count);
+      }
+      return top / (width * height);
+    }, { src: `data:${mimeType};base64,${buffer.toString('base64')}`, sampleWidth: SAMPLE_WIDTH });
+  } finally {
+    // Closes the page's own context too
+    await page.close();
+  }
+}
+
+/**
+ * Image checks for one saved file: minBytes and blank
+ */
+async function checkImage(browser, file, format, validation) {
+  const checks = [];
+  const buffer = fs.readFileSync(file.filepath);
+
+  if (validation.minBytes) {
+    checks.push({
+      check: 'minBytes',
+      file: file.filename,
+      ok: buffer.length >= validation.minBytes,
+      detail: `${buffer.length} bytes (minimum ${validation.minBytes})`
+    });
+  }
+
+  if (validation.blank && format !== 'pdf') {
+    const share = await dominantColorShare(browser, buffer, FORMATS[format].contentType);
+    checks.push({
+      check: 'blank',
+      file: file.filename,
+      ok: share < validation.blank.threshold,
+      detail: `${(share * 100).toFixed(1)}% one colour (limit ${(validation.blank.threshold * 100).toFixed(1)}%)`
+    });
+  }
+
+  return checks;
+}
+
+/**
+ * Validate a finished capture
+ *
+ * sessions are the capture's { variant, page, response } and files its
+ * saved images. Returns { ok, failures, checks }: every check is
+ * { check, ok, detail } plus the viewport or file it applies to, and
+ * failures holds the details of the failed ones.
+ */
+export async function validateCapture({ browser, sessions, files, format }, validation, log = console.log) {
+  const checks = [];
+
+  for (const session of sessions) {
+    checks.push(...await checkPage(session.page, session.response, validation, session.variant.name));
+  }
+  for (const file of files) {
+    checks.push(...await checkImage(browser, file, format, validation));
+  }
+
+  const failures = checks
+    .filter(item => !item.ok)
+    .map(item => `${item.check}: ${item.detail}${item.file ? ` (${item.file})` : item.viewport ? ` (${item.viewport})` : ''}`);
+
+  if (failures.length === 0) {
+    log(`✓ Capture passed validation (${checks.length} check(s))`);
+  } else {
+    failures.forEach(failure => log(`✗ Validation failed - ${failure}`));
+  }
+
+  return { ok: failures.length === 0, failures, checks };
+}
@@ -0,0 +1,120 @@
+/**
+ * Video clips of the prepared page
+ *
+ * Playwright records the whole life of a page, preparation included, so the
+ * raw WebM is trimmed to the requested window around the target time with
+ * ffmpeg (FFMPEG_PATH or `ffmpeg` on the PATH). Without ffmpeg the untrimmed
+ * recording is kept and the result says so.
+ */
+
+import { spawn } from 'child_process';
+import { tmpdir } from 'os';
+import { join, dirname, basename } from 'path';
+import fs from 'fs';
+
+export const VIDEO_FORMATS = ['webm', 'gif'];
+
+const FFMPEG = process.env.FFMPEG_PATH || 'ffmpeg';
+
+/**
+ * Context options that turn on recording into a temporary directory
+ */
+export function recordingContextOptions(opts) {
+  return {
+    recordVideo: {
+      dir: fs.mkdtempSync(join(tmpdir(), 'screenshot-scheduler-video-')),
+      size: opts.viewport
+    }
+  };
+}
+
+/**
+ * Run ffmpeg with the given arguments, resolving false if it is not installed
+ */
+function runFfmpeg(args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(FFMPEG, ['-y', '-loglevel', 'error', ...args], { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+
+    child.stderr.on('data', chunk => {
+      stderr += chunk;
+    });
+    child.on('error', error => {
+      if (error.code === 'ENOENT') {
+        resolve(false);
+      } else {
+        reject(error);
+      }
+    });
+    child.on('close', code => {
+      if (code === 0) {
+        resolve(true);
+      } else {
+        reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+      }
+    });
+  });
+}
+
+/**
+ * ffmpeg arguments that cut [startSec, startSec + durationSec] out of the
+ * recording and encode it in the requested format
+ */
+function trimArguments(input, output, startSec, durationSec, format, width) {
+  const cut = ['-ss', startSec.toFixed(3), '-i', input, '-t', durationSec.toFixed(3)];
+
+  if (format === 'gif') {
+    return [...cut, '-vf', `fps=10,scale=${Math.min(width, 960)}:-1:flags=lanczos`, output];
+  }
+  return [...cut, '-c:v', 'libvpx', '-b:v', '2M', '-an', output];
+}
+
+/**
+ * Save the page's recording as a clip covering [windowStart, windowEnd]
+ *
+ * Must be called after the page's context has been closed. recordingStart is
+ * when the page (and so the recording) was created. Returns
+ * { filename, filepath, format, trimmed, windowStart, windowEnd }.
+ */
+export async function saveClip(video, { screenshotPath, filenameBase, recordingStart, windowStart, windowEnd, format, width, log }) {
+  const rawPath = await video.path();
+  const startSec = Math.max(0, (windowStart - recordingStart) / 1000);
+  const durationSec = (windowEnd - windowStart) / 1000;
+
+  let outputFormat = format;
+  let filepath = join(screenshotPath, `${filenameBase}.${outputFormat}`);
+  let trimmed = false;
+
+  try {
+    trimmed = await runFfmpeg(trimArguments(rawPath, filepath, startSec, durationSec, format, width));
+    if (!trimmed) {
+      log('ffmpeg not found, keeping the full untrimmed WebM recording');
+    }
+  } catch (error) {
+    log(`Could not trim video: ${error.message}`);
+    fs.rmSync(filepath, { force: true });
+  }
+
+  if (!trimmed) {
+    outputFormat = 'webm';
+    filepath = join(screenshotPath, `${filenameBase}.webm`);
+    await video.saveAs(filepath);
+  }
+
+  // Remove the raw recording and its temporary directory
+  await video.delete();
+  fs.rmSync(dirname(rawPath), { recursive: true, force: true });
+
+  log(`✓ Video saved: ${filepath}`);
+
+  return {
+    filename: basename(filepath),
+    filepath,
+    format: outputFormat,
+    trimmed,
+    // Where the requested window starts in an untrimmed recording
+    offsetSec: trimmed ? 0 : startSec,
+    windowStart: new Date(windowStart).toISOString(),
+    windowEnd: new Date(windowEnd).toISOString()
+  };
+}
@@ -4,6 +4,7 @@ const API_BASE = '';
 const dateInput = document.getElementById('date');
 const timeInput = document.getElementById('time');
 const timezoneSelect = document.getElementById('timezone');
+const repeatSelect = document.getElementById('repeat');
 const scheduleBtn = document.getElementById('scheduleBtn');
 const nowBtn = document.getElementById('nowBtn');
 const scheduleMessage = document.getElementById('scheduleMessage');
@@ -11,11 +12,64 @@ const jobsContainer = document.getElementById('jobsContainer');
 const screenshotsContainer = document.getElementById('screenshotsContainer');
 const refreshJobsBtn = document.getElementById('refreshJobsBtn');
 const refreshScreenshotsBtn = document.getElementById('refreshScreenshotsBtn');
+const dataContainer = document.getElementById('dataContainer');
+const refreshDataBtn = document.getElementById('refreshDataBtn');
+const setsContainer = document.getElementById('setsContainer');
+const refreshSetsBtn = document.getElementById('refreshSetsBtn');
+const timingContainer = document.getElementById('timingContainer');
+const refreshTimingBtn = document.getElementById('refreshTimingBtn');
+const extractInput = document.getElementById('extract');
 const modal = document.getElementById('screenshotModal');
 const modalImage = document.getElementById('modalImage');
 const modalTitle = document.getElementById('modalTitle');
 const closeBtn = document.querySelector('.close');
 const currentTimeDisplay = document.getElementById('currentTime');
+const urlInput = document.getElementById('url');
+const viewportWidthInput = document.getElementById('viewportWidth');
+const viewportHeightInput = document.getElementById('viewportHeight');
+const deviceScaleFactorInput = document.getElementById('deviceScaleFactor');
+const scrollCountInput = document.getElementById('scrollCount');
+const scrollDelayInput = document.getElementById('scrollDelay');
+const fullPageInput = document.getElementById('fullPage');
+const artifactsInput = document.getElementById('artifacts');
+const stepsSelect = document.getElementById('steps');
+const profileSelect = document.getElementById('profile');
+const deviceInput = document.getElementById('device');
+const deviceList = document.getElementById('deviceList');
+const localeInput = document.getElementById('locale');
+const browserTimezoneInput = document.getElementById('browserTimezone');
+const colorSchemeSelect = document.getElementById('colorScheme');
+const viewportSetSelect = document.getElementById('viewportSet');
+const hideSelectorsInput = document.getElementById('hideSelectors');
+const disableAnimationsInput = document.getElementById('disableAnimations');
+const readySelectorInput = document.getElementById('readySelector');
+const readyDomQuietInput = document.getElementById('readyDomQuiet');
+const mustContainInput = document.getElementById('mustContain');
+const retryAttemptsSelect = document.getElementById('retryAttempts');
+const overlayPositionSelect = document.getElementById('overlayPosition');
+const overlayTimezoneInput = document.getElementById('overlayTimezone');
+const overlayLabelInput = document.getElementById('overlayLabel');
+const overlayBurnInInput = document.getElementById('overlayBurnIn');
+const jobNameInput = document.getElementById('jobName');
+
+// Viewport lists offered by the Capture Set select
+const VIEWPORT_SETS = {
+  responsive: [
+    { name: 'desktop', viewport: { width: 1920, height: 1080 } },
+    { name: 'tablet', device: 'iPad (gen 7)' },
+    { name: 'phone', device: 'iPhone 15' }
+  ]
+};
+const formatSelect = document.getElementById('format');
+const qualityInput = document.getElementById('quality');
+const selectorInput = document.getElementById('selector');
+const paddingInput = document.getElementById('padding');
+const burstCountInput = document.getElementById('burstCount');
+const burstIntervalInput = document.getElementById('burstInterval');
+const burstStartInput = document.getElementById('burstStart');
+const videoBeforeInput = document.getElementById('videoBefore');
+const videoAfterInput = document.getElementById('videoAfter');
+const videoFormatSelect = document.getElementById('videoFormat');
 
 // Update current time display
 function updateCurrentTime() {
@@ -61,14 +115,22 @@ function init() {
   timezoneSelect.addEventListener('change', updateCurrentTime);
 
   // Load initial data
+  loadProfiles();
+  loadDevices();
   loadJobs();
   loadScreenshots();
+  loadData();
+  loadSets();
+  loadTiming();
 
   // Event listeners
   scheduleBtn.addEventListener('click', scheduleScreenshot);
   nowBtn.addEventListener('click', takeScreenshotNow);
   refreshJobsBtn.addEventListener('click', loadJobs);
   refreshScreenshotsBtn.addEventListener('click', loadScreenshots);
+  refreshDataBtn.addEventListener('click', loadData);
+  refreshSetsBtn.addEventListener('click', loadSets);
+  refreshTimingBtn.addEventListener('click', loadTiming);
 
   // Modal event listeners
   if (closeBtn) {
@@ -106,6 +168,175 @@ function showMessage(text, type = 'success') {
   }, 5000);
 }
 
+// Collect capture options from the form (empty fields use server defaults)
+// Throws if the extraction rules are not valid JSON
+function getCaptureOptions() {
+  const options = {};
+
+  if (extractInput.value.trim()) {
+    try {
+      options.extract = JSON.parse(extractInput.value);
+    } catch (error) {
+      throw new Error('Extraction rules must be valid JSON');
+    }
+  }
+
+  if (urlInput.value.trim()) {
+    options.url = urlInput.value.trim();
+  }
+
+  if (viewportWidthInput.value || viewportHeightInput.value) {
+    options.viewport = {
+      width: Number(viewportWidthInput.value || 1920),
+      height: Number(viewportHeightInput.value || 1080)
+    };
+  }
+
+  if (deviceScaleFactorInput.value) {
+    options.deviceScaleFactor = Number(deviceScaleFactorInput.value);
+  }
+
+  if (scrollCountInput.value) {
+    options.scrollCount = Number(scrollCountInput.value);
+  }
+
+  if (scrollDelayInput.value) {
+    options.scrollDelay = Number(scrollDelayInput.value);
+  }
+
+  if (fullPageInput.checked) {
+    options.fullPage = true;
+  }
+
+  if (formatSelect.value) {
+    options.format = formatSelect.value;
+  }
+
+  if (qualityInput.value) {
+    options.quality = Number(qualityInput.value);
+  }
+
+  if (selectorInput.value.trim()) {
+    options.selector = selectorInput.value.trim();
+
+    if (paddingInput.value) {
+      options.padding = Number(paddingInput.value);
+    }
+  }
+
+  if (Number(burstCountInput.value) > 1) {
+    options.burst = {
+      count: Number(burstCountInput.value),
+      intervalMs: Number(burstIntervalInput.value || 200),
+      startOffsetMs: Number(burstStartInput.value || 0)
+    };
+  }
+
+  if (Number(videoBeforeInput.value) > 0 || Number(videoAfterInput.value) > 0) {
+    options.video = {
+      beforeMs: Number(videoBeforeInput.value || 0),
+      afterMs: Number(videoAfterInput.value || 0),
+      format: videoFormatSelect.value
+    };
+  }
+
+  if (artifactsInput.checked) {
+    options.artifacts = true;
+  }
+
+  if (stepsSelect.value) {
+    options.steps = stepsSelect.value;
+  }
+
+  if (profileSelect.value) {
+    options.profile = profileSelect.value;
+  }
+
+  if (deviceInput.value.trim()) {
+    options.device = deviceInput.value.trim();
+  }
+
+  if (localeInput.value.trim()) {
+    options.locale = localeInput.value.trim();
+  }
+
+  if (browserTimezoneInput.value.trim()) {
+    options.timezoneId = browserTimezoneInput.value.trim();
+  }
+
+  if (colorSchemeSelect.value) {
+    options.colorScheme = colorSchemeSelect.value;
+  }
+
+  if (viewportSetSelect.value) {
+    options.viewports = VIEWPORT_SETS[viewportSetSelect.value];
+  }
+
+  if (overlayPositionSelect.value === 'off') {
+    options.overlay = false;
+  } else if (overlayPositionSelect.value || overlayTimezoneInput.value.trim() || overlayLabelInput.value.trim() || overlayBurnInInput.checked) {
+    options.overlay = {};
+    if (overlayBurnInInput.checked) {
+      options.overlay.mode = 'burn-in';
+    }
+    if (overlayPositionSelect.value) {
+      options.overlay.position = overlayPositionSelect.value;
+    }
+    if (overlayTimezoneInput.value.trim()) {
+      options.overlay.timezone = overlayTimezoneInput.value.trim();
+    }
+    if (overlayLabelInput.value.trim()) {
+      options.overlay.text = [overlayLabelInput.value.trim()];
+    }
+  }
+
+  if (jobNameInput.value.trim()) {
+    options.name = jobNameInput.value.trim();
+  }
+
+  // Split on commas outside brackets, so :not(.a, .b) stays one selector
+  const hide = hideSelectorsInput.value.split(/,(?![^[(]*[\])])/).map(selector => selector.trim()).filter(Boolean);
+  if (hide.length > 0 || disableAnimationsInput.checked) {
+    options.cleanup = { hide, disableAnimations: disableAnimationsInput.checked };
+  }
+
+  const ready = [];
+  if (readySelectorInput.value.trim()) {
+    ready.push({ type: 'selector', selector: readySelectorInput.value.trim(), stage: 'load' });
+  }
+  if (readyDomQuietInput.checked) {
+    ready.push({ type: 'domQuiet', quietMs: 500, stage: 'capture', timeout: 5000 });
+  }
+  if (ready.length > 0) {
+    options.ready = ready;
+  }
+
+  const mustContain = mustContainInput.value.split(',').map(text => text.trim()).filter(Boolean);
+  if (mustContain.length > 0) {
+    options.validate = { mustContain };
+  }
+
+  const attempts = Number(retryAttemptsSelect.value);
+  if (attempts > 1) {
+    options.retry = { attempts };
+  }
+
+  return options;
+}
+
+// Build the recurring option from the Repeat choice (false for a one-off capture)
+function getRecurrence(time, timezone) {
+  const preset = repeatSelect.value;
+  if (!preset) {
+    return false;
+  }
+  if (preset === 'hourly') {
+    const [, minute, second = 0] = time.split(':').map(Number);
+    return { preset, minute, second, timezone };
+  }
+  return { preset, time, timezone };
+}
+
 // Schedule screenshot
 async function scheduleScreenshot() {
   const date = dateInput.value;
@@ -159,6 +390,14 @@ async function scheduleScreenshot() {
   console.log('Converted to UTC:', isoString);
   console.log('Timezone offset:', tzOffsetMs / 1000 / 60 / 60, 'hours');
 
+  let captureOptions;
+  try {
+    captureOptions = getCaptureOptions();
+  } catch (error) {
+    showMessage(error.message, 'error');
+    return;
+  }
+
   scheduleBtn.disabled = true;
   scheduleBtn.textContent = 'Scheduling...';
 
@@ -169,8 +408,9 @@ async function scheduleScreenshot() {
         'Content-Type': 'application/json'
       },
       body: JSON.stringify({
+        ...captureOptions,
         datetime: isoString,
-        recurring: false
+        recurring: getRecurrence(time, timezone)
       })
     });
 
@@ -182,7 +422,9 @@ async function scheduleScreenshot() {
       const minutes = Math.floor((timeFromNow % 3600) / 60);
       const timeMsg = hours > 0 ? `${hours}h ${minutes}m from now` : `${minutes}m from now`;
 
-      showMessage(`✓ Screenshot scheduled for ${timeMsg}!`, 'success');
+      showMessage(data.recurrence
+        ? `✓ Screenshot scheduled ${data.recurrence}, first in ${timeMsg}!`
+        : `✓ Screenshot scheduled for ${timeMsg}!`, 'success');
       loadJobs();
     } else {
       showMessage(data.error || 'Failed to schedule screenshot', 'error');
@@ -197,12 +439,24 @@ async function scheduleScreenshot() {
 
 // Take screenshot now
 async function takeScreenshotNow() {
+  let captureOptions;
+  try {
+    captureOptions = getCaptureOptions();
+  } catch (error) {
+    showMessage(error.message, 'error');
+    return;
+  }
+
   nowBtn.disabled = true;
   nowBtn.textContent = 'Taking Screenshot...';
 
   try {
     const response = await fetch(`${API_BASE}/api/screenshot/now`, {
-      method: 'POST'
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(captureOptions)
     });
 
     const data = await response.json();
@@ -210,6 +464,7 @@ async function takeScreenshotNow() {
     if (response.ok && data.success) {
       showMessage('Screenshot taken successfully!', 'success');
       loadScreenshots();
+      loadData();
     } else {
       showMessage(data.error || 'Failed to take screenshot', 'error');
     }
@@ -221,6 +476,35 @@ async function takeScreenshotNow() {
   }
 }
 
+// Load credential profiles into the profile select
+async function loadProfiles() {
+  try {
+    const response = await fetch(`${API_BASE}/api/profiles`);
+    const data = await response.json();
+
+    (data.profiles || []).forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.name;
+      option.textContent = profile.storageState ? `${profile.name} (session saved)` : profile.name;
+      profileSelect.appendChild(option);
+    });
+  } catch (error) {
+    console.error('Error loading profiles:', error);
+  }
+}
+
+// Load device presets into the device suggestions
+async function loadDevices() {
+  try {
+    const response = await fetch(`${API_BASE}/api/devices`);
+    const data = await response.json();
+
+    deviceList.innerHTML = (data.devices || []).map(name => `<option value="${escapeHtml(name)}">`).join('');
+  } catch (error) {
+    console.error('Error loading devices:', error);
+  }
+}
+
 // Load scheduled jobs
 async function loadJobs() {
   try {
@@ -232,6 +516,17 @@ async function loadJobs() {
         <div class="job-item">
           <div class="job-info">
             <strong>${new Date(job.datetime).toLocaleString()}</strong>
+            ${job.recurrence ? `<small>Repeats: ${escapeHtml(job.recurrence)}</small>` : ''}
+            ${job.nextRuns.length > 1 ? `<small>Then: ${job.nextRuns.slice(1, 4).map(run => new Date(run).toLocaleString()).join(' · ')}</small>` : ''}
+            ${job.options.name && job.options.name !== job.id ? `<small>Name: ${escapeHtml(job.options.name)}</small>` : ''}
+            <small>URL: ${escapeHtml(job.options.url)}</small>
+            <small>Viewport: ${job.options.viewport.width}x${job.options.viewport.height} @${job.options.deviceScaleFactor}x${job.options.fullPage ? ' (full page)' : ''} · ${job.options.format.toUpperCase()}</small>
+            ${job.options.device ? `<small>Device: ${escapeHtml(job.options.device)}</small>` : ''}
+            ${job.options.viewports ? `<small>Capture set: ${escapeHtml(job.options.viewports.map(viewport => viewport.name).join(', '))}</small>` : ''}
+            ${job.options.locale || job.options.timezoneId ? `<small>Locale: ${[job.options.locale, job.options.timezoneId].filter(Boolean).join(' · ')}</small>` : ''}
+            ${job.options.profile ? `<small>Profile: ${escapeHtml(job.options.profile)}</small>` : ''}
+            ${job.prewarm ? `<small>Pre-warm: ${((job.prewarm.leadMs + job.prewarm.captureLeadMs) / 1000).toFixed(1)}s before (${job.prewarm.source === 'history' ? `learned from ${job.prewarm.samples} runs` : 'default'})</small>` : ''}
+            ${job.lastRun ? `<small>Last run: ${job.lastRun.success ? 'ok' : 'failed'}${job.retry && job.retry.attempts > 1 ? ` · attempt ${job.lastRun.attempt} of ${job.retry.attempts}` : ''}${job.lastRun.timing && job.lastRun.timing.driftMs !== null ? ` · drift ${formatDrift(job.lastRun.timing.driftMs)}` : ''}${job.lastRun.timing && job.lastRun.timing.warning ? ` · ⚠ ${escapeHtml(job.lastRun.timing.warning)}` : ''}</small>` : ''}
             <small>Job ID: ${job.id}</small>
             <small>Scheduled: ${new Date(job.scheduled).toLocaleString()}</small>
           </div>
@@ -283,6 +578,9 @@ async function loadScreenshots() {
           <div class="screenshot-item">
             <div class="screenshot-info">
               <strong>${screenshot.filename}</strong>
+              ${screenshot.viewport ? `<small>Viewport: ${screenshot.viewport}</small>` : ''}
+              ${screenshot.region ? `<small>Region: ${screenshot.region}</small>` : ''}
+              ${screenshot.offsetMs !== null ? `<small>Burst frame: T${screenshot.offsetMs >= 0 ? '+' : ''}${screenshot.offsetMs}ms</small>` : ''}
               <small>Created: ${new Date(screenshot.created).toLocaleString()}</small>
               <small>Size: ${sizeKB} KB</small>
             </div>
@@ -301,9 +599,130 @@ async function loadScreenshots() {
   }
 }
 
+// Escape text for use in HTML
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Load extracted data
+async function loadData() {
+  try {
+    const response = await fetch(`${API_BASE}/api/data?limit=50`);
+    const data = await response.json();
+
+    if (data.runs && data.runs.length > 0) {
+      dataContainer.innerHTML = data.runs.slice(0, 10).map(run => {
+        const fields = Object.entries(run.data.fields).map(([name, value]) => `
+          <tr><th>${escapeHtml(name)}</th><td>${escapeHtml(value === null ? '—' : Array.isArray(value) ? value.join(', ') : value)}</td></tr>
+        `).join('');
+        const tables = Object.entries(run.data.tables).map(([name, rows]) =>
+          `<small>Table ${escapeHtml(name)}: ${rows ? rows.length : 0} rows</small>`
+        ).join('');
+
+        return `
+          <div class="data-item">
+            <strong>${new Date(run.captureTime).toLocaleString()}</strong>
+            <small>${escapeHtml(run.url)} · ${escapeHtml(run.filename)}</small>
+            ${tables}
+            ${fields ? `<table class="data-fields">${fields}</table>` : ''}
+          </div>
+        `;
+      }).join('');
+    } else {
+      dataContainer.innerHTML = '<p class="empty-state">No extracted data yet</p>';
+    }
+  } catch (error) {
+    dataContainer.innerHTML = '<p class="empty-state">Error loading data</p>';
+  }
+}
+
+// Signed milliseconds, e.g. +12ms
+function formatDrift(ms) {
+  return `${ms < 0 ? '-' : '+'}${Math.abs(ms)}ms`;
+}
+
+// Load timing of recent exact-time captures
+async function loadTiming() {
+  try {
+    const response = await fetch(`${API_BASE}/api/runs?limit=50`);
+    const data = await response.json();
+    const runs = (data.runs || []).filter(run => run.timing && run.timing.targetTime);
+
+    if (runs.length > 0) {
+      timingContainer.innerHTML = `
+        <table class="data-fields timing-table">
+          <tr><th>Target</th><th>Drift</th><th>Ready before target</th><th>Capture took</th></tr>
+          ${runs.slice(0, 10).map(run => `
+            <tr class="${run.timing.warning || !run.success ? 'timing-late' : ''}">
+              <td>${new Date(run.timing.targetTime).toLocaleString()}</td>
+              <td>${run.timing.driftMs === null ? '—' : formatDrift(run.timing.driftMs)}</td>
+              <td>${run.timing.readyLeadMs === null ? '—' : `${(run.timing.readyLeadMs / 1000).toFixed(1)}s`}</td>
+              <td>${run.timing.captureDurationMs === null ? '—' : `${run.timing.captureDurationMs}ms`}</td>
+            </tr>
+            ${run.timing.warning ? `<tr class="timing-late"><td colspan="4">⚠ ${escapeHtml(run.timing.warning)}</td></tr>` : ''}
+            ${!run.success ? `<tr class="timing-late"><td colspan="4">✗ ${escapeHtml(run.error || 'Capture failed')}</td></tr>` : ''}
+          `).join('')}
+        </table>
+      `;
+    } else {
+      timingContainer.innerHTML = '<p class="empty-state">No exact-time captures yet</p>';
+    }
+  } catch (error) {
+    timingContainer.innerHTML = '<p class="empty-state">Error loading timing</p>';
+  }
+}
+
+// Load capture sets, one row of viewports per set
+async function loadSets() {
+  try {
+    const response = await fetch(`${API_BASE}/api/sets?limit=50`);
+    const data = await response.json();
+
+    if (data.sets && data.sets.length > 0) {
+      setsContainer.innerHTML = data.sets.slice(0, 5).map(set => {
+        const viewports = set.viewports.map(viewport => {
+          const filename = viewport.files[0];
+          const preview = /\.(png|jpg|webp)$/i.test(filename)
+            ? `<img src="${API_BASE}/api/screenshot/${encodeURIComponent(filename)}" alt="${escapeHtml(viewport.name)}" loading="lazy">`
+            : `<span class="set-file">${escapeHtml(filename)}</span>`;
+
+          return `
+            <figure class="set-viewport" onclick="openScreenshot('${escapeHtml(filename)}')">
+              ${preview}
+              <figcaption>${escapeHtml(viewport.name)} · ${viewport.device ? `${escapeHtml(viewport.device)}, ` : ''}${viewport.viewport.width}x${viewport.viewport.height}</figcaption>
+            </figure>
+          `;
+        }).join('');
+
+        return `
+          <div class="data-item">
+            <strong>${new Date(set.captureTime).toLocaleString()}</strong>
+            <small>${escapeHtml(set.url)} · ${escapeHtml(set.runId)}</small>
+            <div class="set-viewports">${viewports}</div>
+          </div>
+        `;
+      }).join('');
+    } else {
+      setsContainer.innerHTML = '<p class="empty-state">No capture sets yet</p>';
+    }
+  } catch (error) {
+    setsContainer.innerHTML = '<p class="empty-state">Error loading capture sets</p>';
+  }
+}
+
 // Open screenshot in modal
 function openScreenshot(filename) {
   console.log('Opening screenshot:', filename);
+
+  // Browsers can't show a PDF or video in an <img>, open it in a new tab instead
+  if (/\.(pdf|webm)$/i.test(filename)) {
+    window.open(`${API_BASE}/api/screenshot/${encodeURIComponent(filename)}`, '_blank');
+    return;
+  }
   const modal = document.getElementById('screenshotModal');
   const modalImage = document.getElementById('modalImage');
   const modalTitle = document.getElementById('modalTitle');
@@ -348,6 +767,9 @@ window.closeModal = closeModal;
 setInterval(() => {
   loadJobs();
   loadScreenshots();
+  loadData();
+  loadSets();
+  loadTiming();
 }, 10000);
 
 // Initialize on load
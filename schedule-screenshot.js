@@ -5,10 +5,12 @@
  * Takes screenshots at exact specified times with failsafe mechanisms
  */
 
-import { chromium } from 'playwright';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import fs from 'fs';
+import { captureScreenshot } from './lib/capture.js';
+import { computeLeadTime } from './lib/lead-time.js';
+import { resolveRetry, retryDecision } from './lib/retry.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -19,7 +21,10 @@ const config = {
   screenshotPath: join(process.env.HOME, 'Desktop', 'screenshots'),
   logPath: join(process.env.HOME, 'Desktop', 'screenshot-scheduler.log'),
   viewport: { width: 1920, height: 1080 },
-  scrollCount: 1
+  scrollCount: 1,
+  overlay: true, // Timestamp overlay: true for the shared defaults, false, or settings (see lib/overlay.js)
+  leadTime: {}, // Pre-warm lead learned from past runs: defaultMs, percentile, marginMs, floorMs, ceilingMs (see lib/lead-time.js)
+  retry: { attempts: 3 } // Retries of a failed capture: attempts, backoffMs, backoffFactor, maxBackoffMs, lateWindowMs (see lib/retry.js)
 };
 
 /**
@@ -33,219 +38,56 @@ function log(message) {
 }
 
 /**
- * Take screenshot with all configured settings
+ * Open the screenshot and the screenshots folder (macOS)
  */
-async function takeScreenshot() {
-  log('Starting screenshot capture...');
-
-  let browser;
+async function openScreenshot(filepath) {
   try {
-    // Ensure screenshots directory exists
-    if (!fs.existsSync(config.screenshotPath)) {
-      fs.mkdirSync(config.screenshotPath, { recursive: true });
-      log(`Created screenshots directory: ${config.screenshotPath}`);
-    }
-
-    // Launch browser
-    browser = await chromium.launch({ headless: true });
-    const context = await browser.newContext({
-      viewport: config.viewport,
-      deviceScaleFactor: 2
-    });
-    const page = await context.newPage();
-
-    log(`Navigating to ${config.url}...`);
-
-    // Navigate with retry logic
-    try {
-      await page.goto(config.url, {
-        waitUntil: 'domcontentloaded',
-        timeout: 60000
-      });
-    } catch (error) {
-      log('First navigation attempt failed, retrying with basic load...');
-      await page.goto(config.url, {
-        waitUntil: 'load',
-        timeout: 30000
-      });
-    }
-
-    await page.waitForTimeout(2000);
-
-    // Switch to English
-    try {
-      log('Switching to English language...');
-      const krDropdown = await page.$('text=KR');
-      if (krDropdown) {
-        await krDropdown.click();
-        await page.waitForTimeout(500);
-        const enOption = await page.$('text=EN');
-        if (enOption) {
-          await enOption.click();
-          await page.waitForTimeout(1000);
-          log('Language switched to English');
-        }
-      }
-    } catch (error) {
-      log('Could not switch language: ' + error.message);
-    }
-
-    // Set Base Exchange to Upbit KRW
-    try {
-      log('Setting Base Exchange to Upbit KRW...');
-      await page.waitForTimeout(1500);
-
-      const exchangeButtons = ['text=Bithumb KRW', 'text=Upbit KRW', 'text=Coinone KRW'];
-      let dropdownOpened = false;
-
-      for (const selector of exchangeButtons) {
-        try {
-          const button = await page.$(selector);
-          if (button) {
-            await button.click();
-            log(`Clicked exchange dropdown: ${selector}`);
-            await page.waitForTimeout(1000);
-            dropdownOpened = true;
-            break;
-          }
-        } catch (e) {}
-      }
-
-      if (dropdownOpened) {
-        try {
-          await page.waitForTimeout(500);
-          const upbitKRW = await page.getByText('Upbit KRW').first();
-          if (upbitKRW) {
-            await upbitKRW.click({ timeout: 3000 });
-            log('Selected Upbit KRW from dropdown');
-            await page.waitForTimeout(1000);
-          }
-        } catch (e) {
-          log('Could not select Upbit KRW: ' + e.message);
-        }
-      }
-    } catch (error) {
-      log('Could not set Base Exchange: ' + error.message);
-    }
-
-    // Scroll
-    if (config.scrollCount > 0) {
-      log(`Scrolling down ${config.scrollCount} time(s) (half viewport)...`);
-      for (let i = 0; i < config.scrollCount; i++) {
-        await page.evaluate(() => {
-          window.scrollBy(0, window.innerHeight / 2);
-        });
-        await page.waitForTimeout(500);
+    const { exec } = await import('child_process');
+    exec(`open "${filepath}"`, (error) => {
+      if (error) {
+        log(`Could not auto-open screenshot: ${error.message}`);
+      } else {
+        log('📸 Screenshot automatically opened!');
       }
-      await page.waitForTimeout(1000);
-    }
-
-    // Add timestamp overlay
-    const captureTime = new Date();
-    await page.evaluate((timeData) => {
-      // Format: 2025-11-28 / 13:55:00 Asia/Hong_Kong
-      const year = timeData.year;
-      const month = (timeData.month + 1).toString().padStart(2, '0');
-      const day = timeData.day.toString().padStart(2, '0');
-      const hours = timeData.hours.toString().padStart(2, '0');
-      const minutes = timeData.minutes.toString().padStart(2, '0');
-      const seconds = timeData.seconds.toString().padStart(2, '0');
-      const timezone = timeData.timezone;
-
-      const dateLine = `${year}-${month}-${day}`;
-      const timeLine = `${hours}:${minutes}:${seconds} ${timezone}`;
-
-      const overlay = document.createElement('div');
-      overlay.id = 'screenshot-timestamp-overlay';
-      overlay.innerHTML = `${dateLine}<br>${timeLine}`;
-      overlay.style.cssText = `
-        position: fixed;
-        bottom: 60%;
-        right: 20px;
-        background: rgba(0, 0, 0, 0.9);
-        color: #00ff00;
-        padding: 15px 20px;
-        border-radius: 8px;
-        font-family: 'Courier New', monospace;
-        font-size: 16px;
-        font-weight: bold;
-        z-index: 999999;
-        box-shadow: 0 4px 15px rgba(0, 0, 0, 0.6);
-        border: 2px solid #00ff00;
-        line-height: 1.5;
-        text-align: center;
-        white-space: nowrap;
-      `;
-      document.body.appendChild(overlay);
-    }, {
-      month: captureTime.getMonth(),
-      day: captureTime.getDate(),
-      year: captureTime.getFullYear(),
-      hours: captureTime.getHours(),
-      minutes: captureTime.getMinutes(),
-      seconds: captureTime.getSeconds(),
-      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
     });
 
-    await page.waitForTimeout(300);
-
-    // Generate filename
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `screenshot-${timestamp}.png`;
-    const filepath = join(config.screenshotPath, filename);
-
-    // Take screenshot
-    await page.screenshot({
-      path: filepath,
-      fullPage: false
+    // Also open the screenshots folder
+    exec(`open "${config.screenshotPath}"`, (error) => {
+      if (!error) {
+        log('📁 Screenshots folder opened!');
+      }
     });
-
-    log(`✓ Screenshot saved: ${filepath}`);
-
-    await browser.close();
-
-    // AUTOMATICALLY OPEN THE SCREENSHOT
-    try {
-      const { exec } = await import('child_process');
-      exec(`open "${filepath}"`, (error) => {
-        if (error) {
-          log(`Could not auto-open screenshot: ${error.message}`);
-        } else {
-          log('📸 Screenshot automatically opened!');
-        }
-      });
-
-      // Also open the screenshots folder
-      exec(`open "${config.screenshotPath}"`, (error) => {
-        if (!error) {
-          log('📁 Screenshots folder opened!');
-        }
-      });
-    } catch (error) {
-      log(`Auto-open error: ${error.message}`);
-    }
-
-    return filepath;
-
   } catch (error) {
-    log(`ERROR taking screenshot: ${error.message}`);
-    if (browser) {
-      await browser.close();
-    }
-    throw error;
+    log(`Auto-open error: ${error.message}`);
   }
 }
 
+/**
+ * Take screenshot with all configured settings
+ */
+async function takeScreenshot() {
+  const result = await captureScreenshot({ ...config, log });
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  await openScreenshot(result.filepath);
+  return result.filepath;
+}
+
 /**
  * Schedule with pre-warming for exact timing
- * Starts browser early so screenshot captures at EXACT specified time
+ * Starts browser early so screenshot captures at EXACT specified time,
+ * as early as recent runs of the same URL needed to get the page ready
  */
 function scheduleWithPeriodicChecks(targetDate) {
   log(`Target time: ${targetDate.toLocaleString('en-US', { timeZone: 'Asia/Hong_Kong' })} Hong Kong Time`);
 
-  // Process takes ~12 seconds, so we start 15 seconds early to be safe
-  const PROCESS_DURATION_MS = 15000; // Start 15 seconds before target
-  const earlyStartTime = new Date(targetDate.getTime() - PROCESS_DURATION_MS);
+  const lead = computeLeadTime(config.screenshotPath, { url: config.url }, config.leadTime);
+  const earlyStartTime = new Date(targetDate.getTime() - lead.leadMs);
+  log(lead.source === 'history'
+    ? `Pre-warm lead: ${lead.leadMs}ms (p${lead.percentile} of the last ${lead.samples} runs was ${lead.percentileMs}ms)`
+    : `Pre-warm lead: ${lead.leadMs}ms (default, not enough history yet)`);
 
   const checkInterval = 1000; // Check every second
   let hasExecuted = false;
@@ -261,7 +103,7 @@ function scheduleWithPeriodicChecks(targetDate) {
       log(`Time until screenshot: ${minutes}m ${seconds}s`);
     }
 
-    // Start process EARLY (15 seconds before target) to hit exact time
+    // Start process EARLY (lead time before target) to hit exact time
     if (now >= earlyStartTime && !hasExecuted) {
       hasExecuted = true;
       clearInterval(intervalId);
@@ -305,216 +147,26 @@ function scheduleWithPeriodicChecks(targetDate) {
 }
 
 /**
- * Take screenshot with exact timing - prepares page then waits for exact moment
+ * Take screenshot with exact timing - prepares page then waits for exact moment,
+ * retrying a failed capture while a late one is still useful
  */
 async function takeScreenshotAtExactTime(targetDate) {
-  log('Pre-warming browser and loading page...');
-
-  let browser;
-  try {
-    // Ensure screenshots directory exists
-    if (!fs.existsSync(config.screenshotPath)) {
-      fs.mkdirSync(config.screenshotPath, { recursive: true });
-      log(`Created screenshots directory: ${config.screenshotPath}`);
-    }
-
-    // Launch browser EARLY
-    browser = await chromium.launch({ headless: true });
-    const context = await browser.newContext({
-      viewport: config.viewport,
-      deviceScaleFactor: 2
-    });
-    const page = await context.newPage();
-
-    log(`Navigating to ${config.url}...`);
-
-    // Navigate and prepare page
-    try {
-      await page.goto(config.url, {
-        waitUntil: 'domcontentloaded',
-        timeout: 60000
-      });
-    } catch (error) {
-      log('Retrying navigation...');
-      await page.goto(config.url, {
-        waitUntil: 'load',
-        timeout: 30000
-      });
-    }
-
-    await page.waitForTimeout(2000);
-
-    // Switch to English
-    try {
-      log('Switching to English language...');
-      const krDropdown = await page.$('text=KR');
-      if (krDropdown) {
-        await krDropdown.click();
-        await page.waitForTimeout(500);
-        const enOption = await page.$('text=EN');
-        if (enOption) {
-          await enOption.click();
-          await page.waitForTimeout(1000);
-          log('Language switched to English');
-        }
-      }
-    } catch (error) {
-      log('Could not switch language: ' + error.message);
-    }
-
-    // Set Base Exchange to Upbit KRW
-    try {
-      log('Setting Base Exchange to Upbit KRW...');
-      await page.waitForTimeout(1500);
-
-      const exchangeButtons = ['text=Bithumb KRW', 'text=Upbit KRW', 'text=Coinone KRW'];
-      let dropdownOpened = false;
-
-      for (const selector of exchangeButtons) {
-        try {
-          const button = await page.$(selector);
-          if (button) {
-            await button.click();
-            log(`Clicked exchange dropdown: ${selector}`);
-            await page.waitForTimeout(1000);
-            dropdownOpened = true;
-            break;
-          }
-        } catch (e) {}
-      }
-
-      if (dropdownOpened) {
-        try {
-          await page.waitForTimeout(500);
-          const upbitKRW = await page.getByText('Upbit KRW').first();
-          if (upbitKRW) {
-            await upbitKRW.click({ timeout: 3000 });
-            log('Selected Upbit KRW from dropdown');
-            await page.waitForTimeout(1000);
-          }
-        } catch (e) {
-          log('Could not select Upbit KRW: ' + e.message);
-        }
-      }
-    } catch (error) {
-      log('Could not set Base Exchange: ' + error.message);
-    }
-
-    // Scroll
-    if (config.scrollCount > 0) {
-      log(`Scrolling down ${config.scrollCount} time(s) (half viewport)...`);
-      for (let i = 0; i < config.scrollCount; i++) {
-        await page.evaluate(() => {
-          window.scrollBy(0, window.innerHeight / 2);
-        });
-        await page.waitForTimeout(500);
-      }
-      await page.waitForTimeout(1000);
-    }
-
-    // NOW WAIT FOR EXACT TARGET TIME
-    const now = new Date();
-    const msUntilTarget = targetDate - now;
+  const policy = resolveRetry(config.retry);
 
-    if (msUntilTarget > 0) {
-      log(`Page ready! Waiting ${msUntilTarget}ms for exact target time...`);
-      await new Promise(resolve => setTimeout(resolve, msUntilTarget));
+  for (let attempt = 1; ; attempt++) {
+    const result = await captureScreenshot({ ...config, targetDate, attempt, log });
+    if (result.success) {
+      await openScreenshot(result.filepath);
+      return result.filepath;
     }
 
-    // CAPTURE AT EXACT TIME
-    const captureTime = new Date();
-    log(`CAPTURING NOW at ${captureTime.toISOString()}`);
-
-    // Add timestamp overlay
-    await page.evaluate((timeData) => {
-      // Format: 2025-11-28 13:55:00 (ISO format, 24-hour, no milliseconds)
-      const year = timeData.year;
-      const month = (timeData.month + 1).toString().padStart(2, '0');
-      const day = timeData.day.toString().padStart(2, '0');
-      const hours = timeData.hours.toString().padStart(2, '0');
-      const minutes = timeData.minutes.toString().padStart(2, '0');
-      const seconds = timeData.seconds.toString().padStart(2, '0');
-
-      const dateLine = `${year}-${month}-${day}`;
-      const timeLine = `${hours}:${minutes}:${seconds}`;
-
-      const overlay = document.createElement('div');
-      overlay.id = 'screenshot-timestamp-overlay';
-      overlay.innerHTML = `${dateLine}<br>${timeLine}`;
-      overlay.style.cssText = `
-        position: fixed;
-        bottom: 60%;
-        right: 20px;
-        background: rgba(0, 0, 0, 0.9);
-        color: #00ff00;
-        padding: 15px 20px;
-        border-radius: 8px;
-        font-family: 'Courier New', monospace;
-        font-size: 16px;
-        font-weight: bold;
-        z-index: 999999;
-        box-shadow: 0 4px 15px rgba(0, 0, 0, 0.6);
-        border: 2px solid #00ff00;
-        line-height: 1.5;
-        text-align: center;
-        white-space: nowrap;
-      `;
-      document.body.appendChild(overlay);
-    }, {
-      month: captureTime.getMonth(),
-      day: captureTime.getDate(),
-      year: captureTime.getFullYear(),
-      hours: captureTime.getHours(),
-      minutes: captureTime.getMinutes(),
-      seconds: captureTime.getSeconds()
-    });
-
-    await page.waitForTimeout(100); // Minimal wait for overlay to render
-
-    // Generate filename
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `screenshot-${timestamp}.png`;
-    const filepath = join(config.screenshotPath, filename);
-
-    // Take screenshot
-    await page.screenshot({
-      path: filepath,
-      fullPage: false
-    });
-
-    log(`✓ Screenshot saved: ${filepath}`);
-
-    await browser.close();
-
-    // AUTOMATICALLY OPEN THE SCREENSHOT
-    try {
-      const { exec } = await import('child_process');
-      exec(`open "${filepath}"`, (error) => {
-        if (error) {
-          log(`Could not auto-open screenshot: ${error.message}`);
-        } else {
-          log('📸 Screenshot automatically opened!');
-        }
-      });
-
-      // Also open the screenshots folder
-      exec(`open "${config.screenshotPath}"`, (error) => {
-        if (!error) {
-          log('📁 Screenshots folder opened!');
-        }
-      });
-    } catch (error) {
-      log(`Auto-open error: ${error.message}`);
-    }
-
-    return filepath;
-
-  } catch (error) {
-    log(`ERROR: ${error.message}`);
-    if (browser) {
-      await browser.close();
+    const decision = retryDecision(policy, attempt, targetDate);
+    if (!decision.retry) {
+      throw new Error(policy.attempts > 1 ? `${result.error} (not retrying: ${decision.reason})` : result.error);
     }
-    throw error;
+    log(`Attempt ${attempt} failed: ${result.error}`);
+    log(`Retrying in ${decision.delayMs}ms (attempt ${attempt + 1} of ${policy.attempts})`);
+    await new Promise(resolve => setTimeout(resolve, decision.delayMs));
   }
 }
 
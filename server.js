@@ -1,10 +1,33 @@
 import express from 'express';
 import schedule from 'node-schedule';
-import { chromium } from 'playwright';
-import { join, dirname } from 'path';
+import { join, dirname, basename } from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
 import cors from 'cors';
+import { captureScreenshot } from './lib/capture.js';
+import { createBrowserPool } from './lib/browser-pool.js';
+import { computeLeadTime } from './lib/lead-time.js';
+import { resolveRetry, retryDecision } from './lib/retry.js';
+import { defaultJobStorePath, moveLegacyJobStore, loadJobs, saveJobs, resolveMissed, missedDecision } from './lib/job-store.js';
+import { parseRecurrence, nextOccurrence, nextOccurrences, describeRecurrence } from './lib/recurrence.js';
+import { parseJobOptions, describeJobOptions } from './lib/job-options.js';
+import { FORMATS, isCaptureFile, formatForFile, contentTypeFor } from './lib/formats.js';
+import { createRunId, writeRunRecord, readRunRecord, listRunRecords, runDirectory } from './lib/runs.js';
+import { ARTIFACT_CONTENT_TYPES } from './lib/artifacts.js';
+import { toCsv } from './lib/extract.js';
+import { readProvenance } from './lib/provenance.js';
+import { defaultLedgerPath, verifyLedger, verifyFile } from './lib/ledger.js';
+import { listDevices, applyDevicePreset } from './lib/emulation.js';
+import {
+  defaultProfilesPath,
+  listProfiles,
+  loadProfile,
+  saveProfile,
+  deleteProfile,
+  saveStorageState,
+  refreshStorageState,
+  describeProfile
+} from './lib/profiles.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -14,7 +37,7 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '10mb' })); // Uploaded storageState files can be large
 
 // Disable caching for development
 app.use((req, res, next) => {
@@ -34,408 +57,310 @@ const config = {
   url: 'https://kimpga.com/',
   screenshotPath: process.env.SCREENSHOT_PATH || join(process.env.HOME || '/tmp', 'Desktop', 'screenshots'),
   viewport: { width: 1920, height: 1080 },
+  deviceScaleFactor: 2,
   waitForNetworkIdle: false,
   fullPage: false,
-  quality: 100,
+  quality: 100, // JPEG/WebP quality
   scrollCount: 1,
-  scrollDelay: 500
+  scrollDelay: 500,
+  format: 'png',
+  steps: 'kimpga',
+  overlay: true, // Timestamp overlay: true for the shared defaults, false, or settings (see lib/overlay.js)
+  profilesPath: defaultProfilesPath, // Credential profiles, kept outside public/
+  leadTime: {}, // Pre-warm lead learned from past runs: defaultMs, percentile, marginMs, floorMs, ceilingMs (see lib/lead-time.js)
+  retry: {}, // Retry policy for jobs that do not set their own: attempts, backoffMs, backoffFactor, maxBackoffMs, lateWindowMs (see lib/retry.js)
+  missed: {} // What to do with jobs whose time passed while the server was down: policy skip, run or grace, graceMs (see lib/job-store.js)
 };
 
+// Scheduled jobs are saved here and restored on startup
+const jobStorePath = defaultJobStorePath;
+
+// Warm browsers shared by every capture (BROWSER_POOL_SIZE=0 launches one per capture instead)
+const browserPool = process.env.BROWSER_POOL_SIZE === '0'
+  ? null
+  : createBrowserPool({ log: (message) => console.log(`[POOL] ${message}`) });
+
 /**
- * Take a screenshot (reused from existing code)
+ * Parse job options from a request body and check that its profile exists
  */
-async function takeScreenshot() {
-  console.log(`[${new Date().toISOString()}] Starting screenshot capture...`);
-
-  let browser;
-  try {
-    // Ensure screenshots directory exists
-    if (!fs.existsSync(config.screenshotPath)) {
-      fs.mkdirSync(config.screenshotPath, { recursive: true });
-    }
+function parseRequestOptions(body) {
+  const options = parseJobOptions(body);
+  if (options.profile) {
+    loadProfile(config.profilesPath, options.profile);
+  }
+  return options;
+}
 
-    // Launch browser
-    browser = await chromium.launch({ headless: true });
-    const context = await browser.newContext({
-      viewport: config.viewport,
-      deviceScaleFactor: 2
-    });
-    const page = await context.newPage();
+/**
+ * Take a screenshot immediately
+ */
+async function takeScreenshot(options = {}) {
+  return captureScreenshot({ ...config, ...options, browserPool });
+}
 
-    console.log(`Navigating to ${config.url}...`);
+/**
+ * Take screenshot at exact time (pre-warm approach)
+ */
+async function takeScreenshotAtExactTime(targetDate, options = {}) {
+  return captureScreenshot({
+    ...config,
+    ...options,
+    targetDate,
+    browserPool,
+    log: (message) => console.log(`[EXACT-TIME] ${message}`)
+  });
+}
 
-    // Navigate with retry
-    try {
-      await page.goto(config.url, {
-        waitUntil: config.waitForNetworkIdle ? 'networkidle' : 'domcontentloaded',
-        timeout: 60000
-      });
-    } catch (error) {
-      console.log('First attempt timed out, trying with basic load strategy...');
-      await page.goto(config.url, {
-        waitUntil: 'load',
-        timeout: 30000
-      });
-    }
+/**
+ * Capture options for a job: the server config plus the job's request options
+ */
+function jobOptionsFor(jobId, request) {
+  // Resolve the device preset now so the job lists the viewport it will use
+  const jobOptions = applyDevicePreset({ ...config, ...request });
+  // Unnamed jobs show their id in the overlay's {job} placeholder
+  jobOptions.jobName = jobOptions.jobName || jobId;
+  jobOptions.jobId = jobId;
+  return jobOptions;
+}
 
-    await page.waitForTimeout(3000);
+/**
+ * What the job store keeps of a scheduled job
+ */
+function storedJob(job) {
+  return {
+    id: job.id,
+    datetime: job.datetime,
+    recurring: job.recurring,
+    scheduled: job.scheduled,
+    request: job.request,
+    lastRun: job.lastRun || null
+  };
+}
 
-    // Handle cookie consent popup
-    try {
-      console.log('Checking for cookie consent popup...');
+/**
+ * Save every scheduled job to the job store
+ */
+function persistJobs() {
+  try {
+    saveJobs(jobStorePath, Array.from(scheduledJobs.values()).map(storedJob));
+  } catch (error) {
+    console.error(`[JOBS] Could not save jobs to ${jobStorePath}: ${error.message}`);
+  }
+}
 
-      // Wait for the consent button to appear and be visible
-      const consentButton = page.locator('button:has-text("Consent")').first();
-      await consentButton.waitFor({ state: 'visible', timeout: 5000 });
+/**
+ * Register a recurring job's next occurrence once the current one has finished
+ *
+ * Occurrences never overlap: one that would have fired while the previous run
+ * was still going is skipped. Returns false when the schedule has no further
+ * occurrences.
+ */
+function scheduleNextOccurrence(occurrence) {
+  const targetDate = new Date(occurrence.datetime);
+  const next = nextOccurrence(occurrence.recurring, new Date(Math.max(targetDate.getTime(), Date.now())));
+  if (!next) {
+    console.log(`[SCHEDULER] Job ${occurrence.id} has no further occurrences`);
+    return false;
+  }
 
-      console.log('Found consent button, clicking...');
-      await consentButton.click({ force: true });
-      console.log('✓ Clicked Consent button');
+  if (nextOccurrence(occurrence.recurring, targetDate) < next) {
+    console.log(`[SCHEDULER] ⚠ Job ${occurrence.id} was still running at its next occurrence; skipping to ${next.toISOString()}`);
+  }
+  registerJob({ ...storedJob(occurrence), datetime: next.toISOString() });
+  return true;
+}
 
-      // Wait for modal to disappear
-      await page.waitForTimeout(2000);
-    } catch (error) {
-      console.log('No consent popup found or already dismissed:', error.message);
-    }
+/**
+ * Register a job's next occurrence with node-schedule, pre-warming ahead of its target time
+ *
+ * record is what the job store keeps: { id, datetime, recurring, scheduled, request, lastRun },
+ * where datetime is the next target and recurring false or a recurrence (see lib/recurrence.js).
+ * A target that has already passed (a restored missed job) starts right away.
+ */
+function registerJob(record) {
+  const { id: jobId, recurring } = record;
+  const jobOptions = jobOptionsFor(jobId, record.request);
+  const targetDate = new Date(record.datetime);
+
+  console.log(`[SCHEDULER] Scheduling job ${jobId} for ${targetDate.toISOString()} (${jobOptions.url})`);
+  console.log(`[SCHEDULER] Current time: ${new Date().toISOString()}`);
+  console.log(`[SCHEDULER] Time until execution: ${Math.floor((targetDate - new Date()) / 1000)} seconds`);
+
+  // Start preparing the page ahead of the target time (or the first burst frame / video lead-in) for exact timing,
+  // as long before as recent runs of this URL and profile needed. Without history a pooled browser needs less
+  // lead than launching one, since only loading and preparing the page has to fit in it.
+  const lead = computeLeadTime(
+    config.screenshotPath,
+    { url: jobOptions.url, profile: jobOptions.profile },
+    { defaultMs: browserPool ? 12000 : 15000, ...config.leadTime }
+  );
+  const captureLeadMs = Math.max(
+    jobOptions.burst ? -jobOptions.burst.startOffsetMs : 0,
+    jobOptions.video ? jobOptions.video.beforeMs : 0,
+    0
+  );
+  let earlyStartTime = new Date(targetDate.getTime() - lead.leadMs - captureLeadMs);
+  console.log(`[SCHEDULER] Pre-warm lead: ${lead.leadMs}ms (${lead.source === 'history' ? `p${lead.percentile} of ${lead.samples} runs was ${lead.percentileMs}ms` : 'default, not enough history'})`);
+
+  if (earlyStartTime <= new Date()) {
+    console.log('[SCHEDULER] ⚠ Target is closer than the pre-warm lead; starting right away');
+    earlyStartTime = new Date(Date.now() + 100);
+  }
 
-    // Switch to English
-    try {
-      console.log('Switching to English language...');
-      const krDropdown = await page.$('text=KR');
-      if (krDropdown) {
-        await krDropdown.click();
-        await page.waitForTimeout(500);
-        const enOption = await page.$('text=EN');
-        if (enOption) {
-          await enOption.click();
-          await page.waitForTimeout(1000);
-          console.log('Language switched to English');
-        }
+  const retryPolicy = resolveRetry({ ...config.retry, ...jobOptions.retry });
+
+  // Schedule the job to start early
+  const job = schedule.scheduleJob(earlyStartTime, async () => {
+    console.log(`[SCHEDULER] ✓ Pre-warming for job ${jobId} at ${new Date().toISOString()}`);
+    console.log(`[SCHEDULER] Will capture at exact time: ${targetDate.toISOString()}`);
+
+    // This occurrence's entry: it stays in the jobs map until the run is over,
+    // and is replaced (or removed) when the job is cancelled
+    const occurrence = scheduledJobs.get(jobId);
+    const isCurrent = () => scheduledJobs.get(jobId) === occurrence;
+
+    // Failed attempts are retried with backoff while a late capture is still useful
+    let result;
+    for (let attempt = 1; ; attempt++) {
+      result = await takeScreenshotAtExactTime(targetDate, { ...jobOptions, attempt });
+      occurrence.lastRun = { runId: result.runId, targetDate: targetDate.toISOString(), success: result.success, attempt, timing: result.timing };
+      occurrence.attempts.push({ attempt, runId: result.runId, success: result.success, error: result.error || null, timing: result.timing });
+      if (isCurrent()) {
+        persistJobs();
+      }
+      if (result.success) {
+        break;
       }
-    } catch (error) {
-      console.log('Could not switch language:', error.message);
-    }
 
-    // Select Upbit KRW
-    try {
-      console.log('Setting Base Exchange to Upbit KRW...');
-      await page.waitForTimeout(1500);
-
-      const exchangeButtons = [
-        'text=Bithumb KRW',
-        'text=Upbit KRW',
-        'text=Coinone KRW',
-        'button:has-text("KRW")',
-        'div:has-text("KRW")'
-      ];
-
-      let dropdownOpened = false;
-      for (const selector of exchangeButtons) {
-        try {
-          const button = await page.$(selector);
-          if (button) {
-            await button.click();
-            console.log(`Clicked exchange dropdown: ${selector}`);
-            await page.waitForTimeout(1000);
-            dropdownOpened = true;
-            break;
-          }
-        } catch (e) {
-          // Try next selector
+      const decision = retryDecision(retryPolicy, attempt, targetDate);
+      if (!decision.retry) {
+        if (retryPolicy.attempts > 1) {
+          console.log(`[SCHEDULER] Not retrying job ${jobId}: ${decision.reason}`);
         }
+        break;
       }
+      console.error(`[SCHEDULER] ✗ Job ${jobId} attempt ${attempt} failed (${result.runId}): ${result.error}`);
+      console.log(`[SCHEDULER] Retrying job ${jobId} in ${decision.delayMs}ms (attempt ${attempt + 1} of ${retryPolicy.attempts})`);
+      await new Promise(resolve => setTimeout(resolve, decision.delayMs));
 
-      if (dropdownOpened) {
-        try {
-          await page.waitForTimeout(500);
-          const upbitKRW = await page.getByText('Upbit KRW').first();
-          if (upbitKRW) {
-            await upbitKRW.click({ timeout: 3000 });
-            console.log('Selected Upbit KRW from dropdown');
-            await page.waitForTimeout(1000);
-          }
-        } catch (e) {
-          console.log('Could not select Upbit KRW:', e.message);
-        }
+      if (!isCurrent()) {
+        console.log(`[SCHEDULER] Job ${jobId} was cancelled; not retrying`);
+        return;
       }
-    } catch (error) {
-      console.log('Could not set Base Exchange:', error.message);
     }
 
-    // Scroll
-    if (config.scrollCount > 0) {
-      console.log(`Scrolling down ${config.scrollCount} time(s)...`);
-      for (let i = 0; i < config.scrollCount; i++) {
-        await page.evaluate(() => {
-          window.scrollBy(0, window.innerHeight / 2);
+    if (result.success) {
+      console.log(`[SCHEDULER] ✓ Job ${jobId} completed successfully (${result.runId}${result.attempt > 1 ? `, attempt ${result.attempt}` : ''}) - ${result.files.map(file => file.filename).join(', ')}`);
+      if (result.video) {
+        console.log(`[SCHEDULER]   video ${result.video.filename}${result.video.trimmed ? '' : ' (untrimmed)'}`);
+      }
+      if (jobOptions.burst) {
+        result.frames.forEach(frame => {
+          console.log(`[SCHEDULER]   frame T${frame.offsetMs >= 0 ? '+' : ''}${frame.offsetMs}ms captured at ${frame.capturedAt}`);
         });
-        await page.waitForTimeout(config.scrollDelay);
       }
-      await page.waitForTimeout(1000);
+    } else {
+      console.error(`[SCHEDULER] ✗ Job ${jobId} failed (${result.runId}):`, result.error);
     }
 
-    // Add timestamp overlay
-    const captureTime = new Date();
-    await page.evaluate((timeData) => {
-      const year = timeData.year;
-      const month = (timeData.month + 1).toString().padStart(2, '0');
-      const day = timeData.day.toString().padStart(2, '0');
-      const hours = timeData.hours.toString().padStart(2, '0');
-      const minutes = timeData.minutes.toString().padStart(2, '0');
-      const seconds = timeData.seconds.toString().padStart(2, '0');
-      const timezone = timeData.timezone;
-
-      const dateLine = `${year}-${month}-${day}`;
-      const timeLine = `${hours}:${minutes}:${seconds} ${timezone}`;
-
-      const overlay = document.createElement('div');
-      overlay.id = 'screenshot-timestamp-overlay';
-      overlay.innerHTML = `${dateLine}<br>${timeLine}`;
-      overlay.style.cssText = `
-        position: fixed;
-        bottom: 60%;
-        right: 20px;
-        background: rgba(0, 0, 0, 0.9);
-        color: #00ff00;
-        padding: 15px 20px;
-        border-radius: 8px;
-        font-family: 'Courier New', monospace;
-        font-size: 16px;
-        font-weight: bold;
-        z-index: 999999;
-        box-shadow: 0 4px 15px rgba(0, 0, 0, 0.6);
-        border: 2px solid #00ff00;
-        line-height: 1.5;
-        text-align: center;
-        white-space: nowrap;
-      `;
-      document.body.appendChild(overlay);
-    }, {
-      month: captureTime.getMonth(),
-      day: captureTime.getDate(),
-      year: captureTime.getFullYear(),
-      hours: captureTime.getHours(),
-      minutes: captureTime.getMinutes(),
-      seconds: captureTime.getSeconds(),
-      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
-    });
-
-    await page.waitForTimeout(300);
-
-    // Generate filename
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `screenshot-${timestamp}.png`;
-    const filepath = join(config.screenshotPath, filename);
-
-    // Take screenshot
-    await page.screenshot({
-      path: filepath,
-      fullPage: config.fullPage
-    });
-
-    console.log(`✓ Screenshot saved: ${filepath}`);
-    await browser.close();
-
-    return { success: true, filepath, filename };
+    if (!isCurrent()) {
+      // Cancelled during the run
+      return;
+    }
 
-  } catch (error) {
-    console.error('Error taking screenshot:', error.message);
-    if (browser) {
-      await browser.close();
+    // A recurring job pre-warms again before its next occurrence; anything else is done
+    if (!recurring || !scheduleNextOccurrence(occurrence)) {
+      scheduledJobs.delete(jobId);
+      console.log(`[SCHEDULER] Job ${jobId} removed from schedule`);
     }
-    return { success: false, error: error.message };
+    persistJobs();
+  });
+
+  if (!job) {
+    throw new Error(`Failed to schedule job ${jobId}`);
   }
+
+  // Store job info
+  scheduledJobs.set(jobId, {
+    ...record,
+    prewarm: { at: earlyStartTime.toISOString(), ...lead, captureLeadMs },
+    retry: retryPolicy,
+    attempts: [],
+    options: jobOptions,
+    job
+  });
 }
 
 /**
- * Take screenshot at exact time (pre-warm approach)
+ * Re-register the jobs saved by a previous process
+ *
+ * Jobs whose target passed while the server was down follow their missed
+ * policy (see lib/job-store.js); skipped ones leave a failed run record.
  */
-async function takeScreenshotAtExactTime(targetDate) {
-  console.log(`[EXACT-TIME] Starting browser preparation...`);
-  let browser;
-
+function restoreJobs() {
   try {
-    // Ensure screenshots directory exists
-    if (!fs.existsSync(config.screenshotPath)) {
-      fs.mkdirSync(config.screenshotPath, { recursive: true });
-    }
-
-    // Launch browser and prepare page
-    browser = await chromium.launch({ headless: true });
-    const context = await browser.newContext({
-      viewport: config.viewport,
-      deviceScaleFactor: 2
-    });
-    const page = await context.newPage();
-
-    console.log(`[EXACT-TIME] Navigating to ${config.url}...`);
-
-    try {
-      await page.goto(config.url, {
-        waitUntil: config.waitForNetworkIdle ? 'networkidle' : 'domcontentloaded',
-        timeout: 60000
-      });
-    } catch (error) {
-      console.log('[EXACT-TIME] First attempt timed out, trying with basic load...');
-      await page.goto(config.url, {
-        waitUntil: 'load',
-        timeout: 30000
-      });
-    }
-
-    await page.waitForTimeout(3000);
-
-    // Handle cookie consent popup
-    try {
-      console.log('[EXACT-TIME] Checking for cookie consent popup...');
-
-      // Wait for the consent button to appear and be visible
-      const consentButton = page.locator('button:has-text("Consent")').first();
-      await consentButton.waitFor({ state: 'visible', timeout: 5000 });
-
-      console.log('[EXACT-TIME] Found consent button, clicking...');
-      await consentButton.click({ force: true });
-      console.log('[EXACT-TIME] ✓ Clicked Consent button');
-
-      // Wait for modal to disappear
-      await page.waitForTimeout(2000);
-    } catch (error) {
-      console.log('[EXACT-TIME] No consent popup found or already dismissed:', error.message);
-    }
+    moveLegacyJobStore(config.screenshotPath, jobStorePath, (message) => console.log(`[JOBS] ${message}`));
+  } catch (error) {
+    console.error(`[JOBS] Could not move the old job store: ${error.message}`);
+  }
+  const savedJobs = loadJobs(jobStorePath, (message) => console.error(`[JOBS] ${message}`));
+  const now = new Date();
+  let restored = 0;
 
-    // Switch to English
+  for (const saved of savedJobs) {
     try {
-      const krDropdown = await page.$('text=KR');
-      if (krDropdown) {
-        await krDropdown.click();
-        await page.waitForTimeout(500);
-        const enOption = await page.$('text=EN');
-        if (enOption) {
-          await enOption.click();
-          await page.waitForTimeout(1000);
+      // Jobs saved before recurrence was supported have recurring: true
+      const record = { ...saved, recurring: saved.recurring === true ? parseRecurrence(true, saved.datetime) : saved.recurring || false };
+      const targetDate = new Date(record.datetime);
+
+      const alreadyRan = record.lastRun && (!record.recurring || record.lastRun.targetDate === record.datetime);
+      if (targetDate <= now && alreadyRan) {
+        // Started before the restart: one-off jobs are done, recurring ones go on with their next occurrence
+        const next = record.recurring ? nextOccurrence(record.recurring, now) : null;
+        if (!next) {
+          continue;
         }
-      }
-    } catch (error) {
-      console.log('[EXACT-TIME] Could not switch language');
-    }
-
-    // Select Upbit KRW
-    try {
-      await page.waitForTimeout(1500);
-      const exchangeButtons = ['text=Bithumb KRW', 'text=Upbit KRW', 'text=Coinone KRW'];
-      let dropdownOpened = false;
-      for (const selector of exchangeButtons) {
-        try {
-          const button = await page.$(selector);
-          if (button) {
-            await button.click();
-            await page.waitForTimeout(1000);
-            dropdownOpened = true;
-            break;
+        record.datetime = next.toISOString();
+      } else if (targetDate <= now) {
+        const missed = resolveMissed({ ...config.missed, ...record.request.missed });
+        const decision = missedDecision(missed, targetDate, now);
+        if (!decision.run) {
+          console.log(`[JOBS] Skipping missed job ${record.id}: ${decision.reason}`);
+          writeRunRecord(config.screenshotPath, {
+            success: false,
+            runId: createRunId(),
+            url: record.request.url || config.url,
+            jobId: record.id,
+            attempt: 0,
+            profile: record.request.profile || null,
+            targetDate: targetDate.toISOString(),
+            timing: null,
+            missed: true,
+            error: `Missed: the server was down at the target time (${decision.reason})`,
+            artifacts: []
+          });
+
+          // A recurring job goes on with its next occurrence
+          const next = record.recurring ? nextOccurrence(record.recurring, now) : null;
+          if (!next) {
+            continue;
           }
-        } catch (e) {}
-      }
-      if (dropdownOpened) {
-        const upbitKRW = await page.getByText('Upbit KRW').first();
-        if (upbitKRW) {
-          await upbitKRW.click({ timeout: 3000 });
-          await page.waitForTimeout(1000);
+          record.datetime = next.toISOString();
+        } else {
+          console.log(`[JOBS] Running missed job ${record.id} now: ${decision.reason}`);
         }
       }
-    } catch (error) {
-      console.log('[EXACT-TIME] Could not set Base Exchange');
-    }
 
-    // Scroll
-    if (config.scrollCount > 0) {
-      for (let i = 0; i < config.scrollCount; i++) {
-        await page.evaluate(() => window.scrollBy(0, window.innerHeight / 2));
-        await page.waitForTimeout(config.scrollDelay);
-      }
-      await page.waitForTimeout(1000);
-    }
-
-    // Prepare timestamp overlay BEFORE waiting (using exact targetDate)
-    await page.evaluate((timeData) => {
-      const year = timeData.year;
-      const month = (timeData.month + 1).toString().padStart(2, '0');
-      const day = timeData.day.toString().padStart(2, '0');
-      const hours = timeData.hours.toString().padStart(2, '0');
-      const minutes = timeData.minutes.toString().padStart(2, '0');
-      const seconds = timeData.seconds.toString().padStart(2, '0');
-      const timezone = timeData.timezone;
-
-      const dateLine = `${year}-${month}-${day}`;
-      const timeLine = `${hours}:${minutes}:${seconds} ${timezone}`;
-
-      const overlay = document.createElement('div');
-      overlay.id = 'screenshot-timestamp-overlay';
-      overlay.innerHTML = `${dateLine}<br>${timeLine}`;
-      overlay.style.cssText = `
-        position: fixed;
-        bottom: 60%;
-        right: 20px;
-        background: rgba(0, 0, 0, 0.9);
-        color: #00ff00;
-        padding: 15px 20px;
-        border-radius: 8px;
-        font-family: 'Courier New', monospace;
-        font-size: 16px;
-        font-weight: bold;
-        z-index: 999999;
-        box-shadow: 0 4px 15px rgba(0, 0, 0, 0.6);
-        border: 2px solid #00ff00;
-        line-height: 1.5;
-        text-align: center;
-        white-space: nowrap;
-      `;
-      document.body.appendChild(overlay);
-    }, {
-      month: targetDate.getMonth(),
-      day: targetDate.getDate(),
-      year: targetDate.getFullYear(),
-      hours: targetDate.getHours(),
-      minutes: targetDate.getMinutes(),
-      seconds: targetDate.getSeconds(),
-      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
-    });
-
-    console.log('[EXACT-TIME] ✓ Timestamp overlay prepared');
-
-    // NOW WAIT FOR EXACT TARGET TIME
-    const now = new Date();
-    const msUntilTarget = targetDate - now;
-
-    if (msUntilTarget > 0) {
-      console.log(`[EXACT-TIME] Waiting ${msUntilTarget}ms for exact target time...`);
-      await new Promise(resolve => setTimeout(resolve, msUntilTarget));
+      registerJob(record);
+      restored++;
+    } catch (error) {
+      console.error(`[JOBS] Could not restore job ${saved.id}: ${error.message}`);
     }
+  }
 
-    // CAPTURE AT EXACT TIME (minimal delay)
-    console.log(`[EXACT-TIME] Capturing NOW at ${new Date().toISOString()}`);
-
-    // Generate filename
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `screenshot-${timestamp}.png`;
-    const filepath = join(config.screenshotPath, filename);
-
-    // Take screenshot
-    await page.screenshot({
-      path: filepath,
-      fullPage: config.fullPage
-    });
-
-    console.log(`[EXACT-TIME] ✓ Screenshot saved: ${filepath}`);
-    await browser.close();
-
-    return { success: true, filepath, filename };
-
-  } catch (error) {
-    console.error('[EXACT-TIME] Error:', error.message);
-    if (browser) {
-      await browser.close();
-    }
-    return { success: false, error: error.message };
+  persistJobs();
+  if (savedJobs.length > 0) {
+    console.log(`[JOBS] Restored ${restored} of ${savedJobs.length} saved job(s) from ${jobStorePath}`);
   }
 }
 
@@ -450,74 +375,90 @@ app.get('/', (req, res) => {
 
 /**
  * POST /api/schedule - Schedule a screenshot
- * Body: { datetime: "2025-11-28T14:00:00+08:00", recurring: false }
+ * Body: { datetime: "2025-11-28T14:00:00+08:00",
+ *         recurring: false | true | { cron, timezone } | { preset: daily | weekdays, time, timezone }
+ *                    | { preset: hourly, minute, second, timezone },
+ *         url, viewport: { width, height }, deviceScaleFactor, fullPage,
+ *         scrollCount, scrollDelay, format, quality, selector, padding, clip,
+ *         regions: [{ name, selector, padding, clip }],
+ *         burst: { count, intervalMs, startOffsetMs },
+ *         video: { beforeMs, afterMs, format },
+ *         artifacts: true | { html, har, console },
+ *         extract: { fields, tables }, profile,
+ *         device, locale, timezoneId, userAgent, geolocation: { latitude, longitude, accuracy },
+ *         colorScheme, viewports: [{ name, device } | { name, viewport, deviceScaleFactor }],
+ *         cleanup: { css, hide, remove, disableAnimations }, name,
+ *         ready: [{ type, stage, timeout, onFailure, ... }],
+ *         validate: false | { status, challenge, blank, minBytes, mustContain, mustNotContain },
+ *         retry: { attempts, backoffMs, backoffFactor, maxBackoffMs, lateWindowMs },
+ *         missed: { policy, graceMs },
+ *         overlay: false | { position, format, timezone, text, style }, steps }
+ * Every field after recurring is optional and defaults to the server config.
+ * A recurring job needs no datetime: when given, it first fires at or after it.
  */
 app.post('/api/schedule', (req, res) => {
   try {
-    const { datetime, recurring } = req.body;
-
-    if (!datetime) {
-      return res.status(400).json({ error: 'datetime is required' });
-    }
+    const { datetime } = req.body;
 
-    const targetDate = new Date(datetime);
-    if (isNaN(targetDate.getTime())) {
-      return res.status(400).json({ error: 'Invalid datetime format' });
+    let recurring;
+    try {
+      recurring = parseRecurrence(req.body.recurring, datetime);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
     }
 
-    if (targetDate <= new Date()) {
-      return res.status(400).json({ error: 'datetime must be in the future' });
+    if (!datetime && !recurring) {
+      return res.status(400).json({ error: 'datetime is required' });
     }
 
     const jobId = `job-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    let request;
+    try {
+      request = parseRequestOptions(req.body);
+      // Throws on an unknown device before anything is scheduled
+      jobOptionsFor(jobId, request);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
-    console.log(`[SCHEDULER] Scheduling job ${jobId} for ${targetDate.toISOString()}`);
-    console.log(`[SCHEDULER] Current time: ${new Date().toISOString()}`);
-    console.log(`[SCHEDULER] Time until execution: ${Math.floor((targetDate - new Date()) / 1000)} seconds`);
-
-    // Pre-warm the browser 15 seconds before target time for exact timing
-    const PROCESS_DURATION_MS = 15000;
-    const earlyStartTime = new Date(targetDate.getTime() - PROCESS_DURATION_MS);
-
-    // Schedule the job to start 15 seconds early
-    const job = schedule.scheduleJob(earlyStartTime, async () => {
-      console.log(`[SCHEDULER] ✓ Pre-warming for job ${jobId} at ${new Date().toISOString()}`);
-      console.log(`[SCHEDULER] Will capture at exact time: ${targetDate.toISOString()}`);
-
-      const result = await takeScreenshotAtExactTime(targetDate);
-
-      if (result.success) {
-        console.log(`[SCHEDULER] ✓ Job ${jobId} completed successfully - ${result.filename}`);
-      } else {
-        console.error(`[SCHEDULER] ✗ Job ${jobId} failed:`, result.error);
-      }
+    const startDate = datetime ? new Date(datetime) : new Date();
+    if (isNaN(startDate.getTime())) {
+      return res.status(400).json({ error: 'Invalid datetime format' });
+    }
 
-      // Remove from scheduled jobs after execution (if not recurring)
-      if (!recurring) {
-        scheduledJobs.delete(jobId);
-        console.log(`[SCHEDULER] Job ${jobId} removed from schedule`);
+    let targetDate = startDate;
+    if (recurring) {
+      // The first occurrence at or after datetime, and never in the past
+      targetDate = nextOccurrence(recurring, new Date(Math.max(startDate.getTime() - 1, Date.now())));
+      if (!targetDate) {
+        return res.status(400).json({ error: 'recurring schedule has no future occurrences' });
       }
-    });
+    } else if (targetDate <= new Date()) {
+      return res.status(400).json({ error: 'datetime must be in the future' });
+    }
 
-    if (!job) {
-      console.error(`[SCHEDULER] ✗ Failed to schedule job ${jobId}`);
+    try {
+      registerJob({
+        id: jobId,
+        datetime: targetDate.toISOString(),
+        recurring,
+        scheduled: new Date().toISOString(),
+        request
+      });
+    } catch (error) {
+      console.error(`[SCHEDULER] ✗ ${error.message}`);
       return res.status(500).json({ error: 'Failed to schedule job' });
     }
-
-    // Store job info
-    scheduledJobs.set(jobId, {
-      id: jobId,
-      datetime: targetDate.toISOString(),
-      recurring,
-      scheduled: new Date().toISOString(),
-      job
-    });
+    persistJobs();
 
     res.json({
       success: true,
       jobId,
       scheduledFor: targetDate.toISOString(),
-      message: `Screenshot scheduled for ${targetDate.toLocaleString()}`
+      recurrence: recurring ? describeRecurrence(recurring) : null,
+      message: recurring
+        ? `Screenshot scheduled ${describeRecurrence(recurring)}, first at ${targetDate.toLocaleString()}`
+        : `Screenshot scheduled for ${targetDate.toLocaleString()}`
     });
 
   } catch (error) {
@@ -527,18 +468,68 @@ app.post('/api/schedule', (req, res) => {
 
 /**
  * GET /api/jobs - List all scheduled jobs
+ * Query: ?next=N for each job's next N fire times (default 5, at most 50)
  */
 app.get('/api/jobs', (req, res) => {
+  const count = Math.min(50, Math.max(1, Number.parseInt(req.query.next, 10) || 5));
+
   const jobs = Array.from(scheduledJobs.values()).map(job => ({
     id: job.id,
     datetime: job.datetime,
     recurring: job.recurring,
-    scheduled: job.scheduled
+    recurrence: job.recurring ? describeRecurrence(job.recurring) : null,
+    nextRuns: job.recurring
+      ? [job.datetime, ...nextOccurrences(job.recurring, new Date(job.datetime), count - 1).map(date => date.toISOString())]
+      : [job.datetime],
+    scheduled: job.scheduled,
+    options: describeJobOptions(job.options),
+    prewarm: job.prewarm,
+    retry: job.retry,
+    attempts: job.attempts,
+    lastRun: job.lastRun || null
   }));
 
   res.json({ jobs });
 });
 
+// Most recent runs a run listing reads by default, so polling one never parses the whole history
+const RUN_LIMIT = 500;
+
+/**
+ * How many of the most recent runs a run listing reads: ?limit=, else RUN_LIMIT
+ */
+function runLimit(req) {
+  return Math.max(1, Number.parseInt(req.query.limit, 10) || RUN_LIMIT);
+}
+
+/**
+ * GET /api/jobs/:jobId/runs - Every attempt of a job from the run records, oldest first
+ * Works for finished jobs too, as long as their run records are kept
+ * Query: ?limit=<n> searches the n most recent runs (default 500)
+ */
+app.get('/api/jobs/:jobId/runs', (req, res) => {
+  try {
+    const runs = listRunRecords(config.screenshotPath, runLimit(req))
+      .filter(run => run.jobId === req.params.jobId)
+      .reverse()
+      .map(run => ({
+        runId: run.runId,
+        attempt: run.attempt ?? 1,
+        success: run.success,
+        captureTime: run.captureTime || null,
+        targetDate: run.targetDate,
+        timing: run.timing || null,
+        validation: run.validation ? { ok: run.validation.ok, failures: run.validation.failures } : null,
+        error: run.error || null,
+        files: (run.files || []).map(file => file.filename)
+      }));
+
+    res.json({ jobId: req.params.jobId, runs });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * DELETE /api/jobs/:jobId - Cancel a scheduled job
  */
@@ -551,14 +542,40 @@ app.delete('/api/jobs/:jobId', (req, res) => {
   }
 
   // Cancel the scheduled job
-  jobInfo.job.cancel();
+  if (jobInfo.job) {
+    jobInfo.job.cancel();
+  }
   scheduledJobs.delete(jobId);
+  persistJobs();
 
   res.json({ success: true, message: 'Job canceled successfully' });
 });
 
+/**
+ * Region name, burst offset, retry attempt and capture-set viewport embedded in a capture filename
+ * (screenshot-<timestamp>[-<region>][-t<offset>ms][~a<attempt>][@<viewport>].<ext>)
+ */
+function parseCaptureFilename(filename) {
+  const withViewport = filename.replace(/\.[a-z]+$/i, '');
+  const viewportMatch = withViewport.match(/@([a-z0-9_-]+)$/i);
+  const withAttempt = withViewport.replace(/@[a-z0-9_-]+$/i, '');
+  const attemptMatch = withAttempt.match(/~a(\d+)$/);
+  const base = withAttempt.replace(/~a\d+$/, '');
+  const offsetMatch = base.match(/-t([+-]\d+)ms$/);
+  const regionMatch = base.replace(/-t[+-]\d+ms$/, '').match(/^(?:screenshot|clip)-[0-9T-]+Z-(.+)$/);
+
+  return {
+    viewport: viewportMatch ? viewportMatch[1] : null,
+    region: regionMatch ? regionMatch[1] : null,
+    offsetMs: offsetMatch ? Number(offsetMatch[1]) : null,
+    attempt: attemptMatch ? Number(attemptMatch[1]) : 1
+  };
+}
+
 /**
  * GET /api/screenshots - List all screenshots
+ * Lists stills (screenshot-*) and video clips (clip-*)
+ * Query: ?format=png|jpeg|webp|pdf|webm|gif to only list one format
  */
 app.get('/api/screenshots', (req, res) => {
   try {
@@ -567,16 +584,20 @@ app.get('/api/screenshots', (req, res) => {
     }
 
     const files = fs.readdirSync(config.screenshotPath)
-      .filter(file => file.startsWith('screenshot-') && file.endsWith('.png'))
+      .filter(isCaptureFile)
       .map(file => {
         const stats = fs.statSync(join(config.screenshotPath, file));
         return {
           filename: file,
+          format: formatForFile(file),
+          kind: FORMATS[formatForFile(file)].kind,
+          ...parseCaptureFilename(file),
           path: join(config.screenshotPath, file),
           created: stats.birthtime,
           size: stats.size
         };
       })
+      .filter(file => !req.query.format || file.format === req.query.format)
       .sort((a, b) => b.created - a.created);
 
     res.json({ screenshots: files });
@@ -588,22 +609,45 @@ app.get('/api/screenshots', (req, res) => {
 
 /**
  * POST /api/screenshot/now - Take immediate screenshot
+ * Body (optional): the same capture options as POST /api/schedule
  */
 app.post('/api/screenshot/now', async (req, res) => {
   try {
-    const result = await takeScreenshot();
+    let options;
+    try {
+      options = parseRequestOptions(req.body || {});
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const result = await takeScreenshot(options);
 
     if (result.success) {
       res.json({
         success: true,
         message: 'Screenshot taken successfully',
+        runId: result.runId,
         filepath: result.filepath,
-        filename: result.filename
+        filename: result.filename,
+        files: result.files,
+        frames: result.frames,
+        video: result.video,
+        artifacts: result.artifacts,
+        data: result.data,
+        dataFile: result.dataFile,
+        viewports: result.viewports,
+        timing: result.timing,
+        validation: result.validation,
+        ledger: result.ledger
       });
     } else {
       res.status(500).json({
         success: false,
-        error: result.error
+        runId: result.runId,
+        error: result.error,
+        // Set when the capture was taken but failed validation
+        files: result.files || [],
+        validation: result.validation || null
       });
     }
   } catch (error) {
@@ -619,7 +663,10 @@ app.get('/api/screenshot/:filename', (req, res) => {
     const { filename } = req.params;
     const filepath = join(config.screenshotPath, filename);
 
-    if (!fs.existsSync(filepath)) {
+    // Only captures in the screenshot directory: never run artifacts (archived HTML must not run on
+    // this origin), other files stored there or a path outside it
+    if (!isCaptureFile(filename) || basename(filename) !== filename ||
+      !fs.existsSync(filepath) || !fs.statSync(filepath).isFile()) {
       return res.status(404).json({ error: 'Screenshot not found' });
     }
 
@@ -629,6 +676,65 @@ app.get('/api/screenshot/:filename', (req, res) => {
   }
 });
 
+/**
+ * GET /api/screenshot/:filename/metadata - Provenance embedded in a screenshot
+ * (or stored in its sidecar file); metadata is null for captures without any
+ */
+app.get('/api/screenshot/:filename/metadata', (req, res) => {
+  try {
+    const { filename } = req.params;
+    const filepath = join(config.screenshotPath, filename);
+
+    if (!isCaptureFile(filename) || basename(filename) !== filename ||
+      !fs.existsSync(filepath) || !fs.statSync(filepath).isFile()) {
+      return res.status(404).json({ error: 'Screenshot not found' });
+    }
+
+    const found = readProvenance(filepath);
+    res.json({
+      filename,
+      format: formatForFile(filename),
+      source: found ? found.source : null,
+      metadata: found ? found.provenance : null
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/screenshot/:filename/verify - Check a capture against the ledger:
+ * whether it was recorded, still has the recorded hash, and the chain is intact
+ */
+app.get('/api/screenshot/:filename/verify', (req, res) => {
+  try {
+    const { filename } = req.params;
+    const filepath = join(config.screenshotPath, filename);
+
+    // Only captures in the screenshot directory, never a path outside it
+    if (!isCaptureFile(filename) || basename(filename) !== filename ||
+      !fs.existsSync(filepath) || !fs.statSync(filepath).isFile()) {
+      return res.status(404).json({ error: 'Screenshot not found' });
+    }
+
+    const result = verifyFile(defaultLedgerPath(config.screenshotPath), filepath);
+    res.json({ ...result, ok: result.matches && result.chain.ok });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/ledger/verify - Check the whole capture ledger for breaks in the chain
+ */
+app.get('/api/ledger/verify', (req, res) => {
+  try {
+    res.json(verifyLedger(defaultLedgerPath(config.screenshotPath)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/screenshot/:filename/download - Download screenshot (forces download)
  */
@@ -637,19 +743,310 @@ app.get('/api/screenshot/:filename/download', (req, res) => {
     const { filename } = req.params;
     const filepath = join(config.screenshotPath, filename);
 
-    if (!fs.existsSync(filepath)) {
+    // Only captures in the screenshot directory: never run artifacts (archived HTML must not run on
+    // this origin), other files stored there or a path outside it
+    if (!isCaptureFile(filename) || basename(filename) !== filename ||
+      !fs.existsSync(filepath) || !fs.statSync(filepath).isFile()) {
       return res.status(404).json({ error: 'Screenshot not found' });
     }
 
     // Set Content-Disposition header to force download
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.setHeader('Content-Type', 'image/png');
+    res.setHeader('Content-Type', contentTypeFor(filename));
     res.sendFile(filepath);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * GET /api/runs - List capture runs, newest first
+ * Query: ?limit=<n> lists the n most recent runs (default 500)
+ */
+app.get('/api/runs', (req, res) => {
+  try {
+    const runs = listRunRecords(config.screenshotPath, runLimit(req)).map(run => ({
+      runId: run.runId,
+      success: run.success,
+      url: run.url,
+      jobId: run.jobId || null,
+      attempt: run.attempt ?? 1,
+      captureTime: run.captureTime || null,
+      targetDate: run.targetDate,
+      timing: run.timing || null,
+      validation: run.validation ? { ok: run.validation.ok, failures: run.validation.failures } : null,
+      ledger: run.ledger || null,
+      error: run.error || null,
+      files: (run.files || []).map(file => file.filename),
+      artifacts: run.artifacts || []
+    }));
+
+    res.json({ runs });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/sets - Capture sets (runs with a viewports list), newest first,
+ * with each viewport's files for side-by-side display
+ * Query: ?limit=<n> searches the n most recent runs (default 500)
+ */
+app.get('/api/sets', (req, res) => {
+  try {
+    const sets = listRunRecords(config.screenshotPath, runLimit(req))
+      .filter(run => run.success && run.viewports)
+      .map(run => ({
+        runId: run.runId,
+        captureTime: run.captureTime,
+        targetDate: run.targetDate,
+        url: run.url,
+        viewports: run.viewports.map(({ steps, ...viewport }) => viewport)
+      }));
+
+    res.json({ sets });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/runs/:runId - Full run record
+ */
+app.get('/api/runs/:runId', (req, res) => {
+  try {
+    const run = readRunRecord(config.screenshotPath, req.params.runId);
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+
+    res.json({ run });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/runs/:runId/artifacts/:name - Download a run artifact (page.html, network.har, console.log)
+ */
+app.get('/api/runs/:runId/artifacts/:name', (req, res) => {
+  try {
+    const { runId, name } = req.params;
+    const run = readRunRecord(config.screenshotPath, runId);
+
+    if (!run || !ARTIFACT_CONTENT_TYPES[name] || !(run.artifacts || []).includes(name)) {
+      return res.status(404).json({ error: 'Artifact not found' });
+    }
+
+    // Archived HTML must never run on this origin, so everything is served as a download
+    res.setHeader('Content-Disposition', `attachment; filename="${runId}-${name}"`);
+    res.setHeader('Content-Type', ARTIFACT_CONTENT_TYPES[name]);
+    res.sendFile(join(runDirectory(config.screenshotPath, runId), name));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Successful runs that extracted data, newest first, among the limit most recent runs
+ */
+function runsWithData(limit) {
+  return listRunRecords(config.screenshotPath, limit).filter(run => run.success && run.data);
+}
+
+/**
+ * GET /api/data - Extracted data of every run that has some, newest first
+ * Query: ?limit=<n> searches the n most recent runs (default 500)
+ */
+app.get('/api/data', (req, res) => {
+  try {
+    const runs = runsWithData(runLimit(req)).map(run => ({
+      runId: run.runId,
+      captureTime: run.captureTime,
+      url: run.url,
+      filename: run.filename,
+      dataFile: run.dataFile,
+      data: run.data
+    }));
+
+    res.json({ runs });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/data/csv - CSV export of extracted data across runs (oldest first)
+ * Query: ?table=<name> exports that table's rows instead of the fields;
+ * ?limit=<n> only exports the n most recent runs (default: all of them)
+ */
+app.get('/api/data/csv', (req, res) => {
+  try {
+    const runs = runsWithData(req.query.limit === undefined ? Infinity : runLimit(req)).reverse();
+    const { table } = req.query;
+    const columns = [];
+    const rows = [];
+
+    const addColumns = (names) => {
+      names.forEach(name => {
+        if (!columns.includes(name)) {
+          columns.push(name);
+        }
+      });
+    };
+
+    if (table) {
+      runs.forEach(run => {
+        (run.data.tables[table] || []).forEach(tableRow => {
+          // Header-less tables are arrays of cells
+          const cells = Array.isArray(tableRow)
+            ? Object.fromEntries(tableRow.map((cell, index) => [`column${index + 1}`, cell]))
+            : tableRow;
+          addColumns(Object.keys(cells));
+          rows.push({ run, cells });
+        });
+      });
+    } else {
+      runs.forEach(run => {
+        addColumns(Object.keys(run.data.fields));
+        rows.push({ run, cells: run.data.fields });
+      });
+    }
+
+    const csv = toCsv(
+      ['runId', 'captureTime', 'url', ...columns],
+      rows.map(({ run, cells }) => [run.runId, run.captureTime, run.url, ...columns.map(column => cells[column])])
+    );
+
+    res.setHeader('Content-Disposition', `attachment; filename="extracted-${table || 'fields'}.csv"`);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.send(csv);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/devices - Names of the device presets a job can emulate
+ */
+app.get('/api/devices', (req, res) => {
+  res.json({ devices: listDevices() });
+});
+
+/**
+ * GET /api/profiles - List credential profiles (names and summaries, no secrets)
+ */
+app.get('/api/profiles', (req, res) => {
+  try {
+    res.json({ profiles: listProfiles(config.profilesPath) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/profiles/:name - Create or replace a credential profile
+ * Body: { cookies: [...], headers: {...}, httpCredentials: { username, password },
+ *         login: { url, steps } }
+ */
+app.put('/api/profiles/:name', (req, res) => {
+  try {
+    let profile;
+    try {
+      profile = saveProfile(config.profilesPath, req.params.name, req.body || {});
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.log(`[PROFILES] Saved profile ${profile.name}`);
+    res.json({ success: true, profile: describeProfile(profile) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/profiles/:name - Delete a profile and its stored session
+ */
+app.delete('/api/profiles/:name', (req, res) => {
+  try {
+    if (!deleteProfile(config.profilesPath, req.params.name)) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    console.log(`[PROFILES] Deleted profile ${req.params.name}`);
+    res.json({ success: true, message: 'Profile deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/profiles/:name/storage-state - Upload a Playwright storageState for a profile
+ * Body: { cookies: [...], origins: [...] } as written by context.storageState()
+ */
+app.put('/api/profiles/:name/storage-state', (req, res) => {
+  try {
+    try {
+      saveStorageState(config.profilesPath, req.params.name, req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.log(`[PROFILES] Stored session for profile ${req.params.name}`);
+    res.json({ success: true, profile: describeProfile(loadProfile(config.profilesPath, req.params.name)) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/profiles/:name/login - Run the profile's login flow and store the resulting session
+ */
+app.post('/api/profiles/:name/login', async (req, res) => {
+  try {
+    let profile;
+    try {
+      profile = loadProfile(config.profilesPath, req.params.name);
+    } catch (error) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (!profile.login) {
+      return res.status(400).json({ error: `Profile "${profile.name}" has no login flow` });
+    }
+
+    const summary = await refreshStorageState(
+      config.profilesPath,
+      profile.name,
+      (message) => console.log(`[PROFILES] ${message}`)
+    );
+    res.json({ success: true, profile: summary });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/browser-pool - Warm browser pool state (browsers, jobs served, recycles, crashes)
+ */
+app.get('/api/browser-pool', (req, res) => {
+  res.json(browserPool ? { enabled: true, ...browserPool.stats() } : { enabled: false });
+});
+
+// Close the pooled browsers on shutdown
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async () => {
+    console.log(`[POOL] ${signal} received, closing browsers...`);
+    if (browserPool) {
+      await browserPool.close();
+    }
+    process.exit(0);
+  });
+}
+
+// Bring back the jobs scheduled before the last restart
+restoreJobs();
+
 // Start server
 app.listen(PORT, () => {
   console.log('='.repeat(60));
@@ -658,4 +1055,8 @@ app.listen(PORT, () => {
   console.log(`Server running at http://localhost:${PORT}`);
   console.log(`Open your browser to schedule screenshots!`);
   console.log('='.repeat(60));
+
+  if (browserPool) {
+    browserPool.warmUp().catch(error => console.error(`[POOL] Warm-up failed: ${error.message}`));
+  }
 });
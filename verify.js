@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * Verify captures against the capture ledger
+ *
+ * Usage:
+ *   node verify.js                 Check the whole ledger chain
+ *   node verify.js <file> [...]    Also check that each file matches its ledger entry
+ *
+ * Files are looked up in SCREENSHOT_PATH unless given as a path. Exits with
+ * 1 if the chain is broken or any file is missing from or differs from the ledger.
+ */
+
+import { join, basename } from 'path';
+import fs from 'fs';
+import { defaultLedgerPath, verifyLedger, verifyFile } from './lib/ledger.js';
+
+const screenshotPath = process.env.SCREENSHOT_PATH || join(process.env.HOME || '/tmp', 'Desktop', 'screenshots');
+const ledgerFile = defaultLedgerPath(screenshotPath);
+
+function resolveFile(file) {
+  return file === basename(file) && !fs.existsSync(file) ? join(screenshotPath, file) : file;
+}
+
+function main() {
+  if (!fs.existsSync(ledgerFile)) {
+    console.error(`❌ No ledger found at ${ledgerFile}`);
+    process.exit(1);
+  }
+
+  let ok = true;
+  const chain = verifyLedger(ledgerFile);
+
+  console.log(`Ledger: ${ledgerFile}`);
+  console.log(`Entries: ${chain.entries} (${chain.signed} signed${chain.signed > 0 && !chain.signaturesChecked ? ', signatures not checked: set LEDGER_PUBLIC_KEY' : ''})`);
+  if (chain.ok) {
+    console.log('✅ Chain intact');
+  } else {
+    ok = false;
+    console.log(`❌ Chain broken at ${chain.breaks.length} place(s):`);
+    for (const item of chain.breaks) {
+      console.log(`   line ${item.line}${item.seq !== null ? ` (seq ${item.seq})` : ''}: ${item.reason}`);
+    }
+  }
+
+  for (const file of process.argv.slice(2)) {
+    const filepath = resolveFile(file);
+    if (!fs.existsSync(filepath)) {
+      ok = false;
+      console.log(`❌ ${file}: file not found`);
+      continue;
+    }
+
+    const result = verifyFile(ledgerFile, filepath);
+    if (!result.recorded) {
+      ok = false;
+      console.log(`❌ ${result.filename}: not in the ledger (sha256 ${result.sha256})`);
+    } else if (!result.matches) {
+      ok = false;
+      console.log(`❌ ${result.filename}: modified since capture (ledger seq ${result.entry.seq} has ${result.entry.sha256}, file is ${result.sha256})`);
+    } else {
+      console.log(`✅ ${result.filename}: matches ledger seq ${result.entry.seq} (captured ${result.entry.captureTime || result.entry.recordedAt})`);
+    }
+  }
+
+  process.exit(ok ? 0 : 1);
+}
+
+main();